@@ -1,18 +1,40 @@
 import { Chess } from 'chess.js';
 
+// GameRoom routes that only a seated player may call.
+const PLAYER_ACTIONS = ['/submitBid', '/revealBid', '/chooseColor', '/makeMove', '/resign', '/rematch'];
+
+// Room socket message types and the internal route each one is handled by.
+const SOCKET_ACTIONS = {
+  submitBid: '/submitBid',
+  revealBid: '/revealBid',
+  chooseColor: '/chooseColor',
+  move: '/makeMove',
+  resign: '/resign',
+  rematch: '/rematch',
+  heartbeat: '/heartbeat'
+};
+
+// Room socket message types handled by the chat code rather than a route.
+const CHAT_MESSAGES = ['chat', 'mute', 'chatSettings'];
+
+// A game with no activity for this long starts the disconnect timer for the
+// player who is not on move.
+const INACTIVITY_MS = 10000;
+
 export class GameRoom {
   constructor(state, env) {
     this.state = state;
     this.env = env;
     this.room = null;
-    this._sockets = new Set();
+    // Keepalive pings are answered by the runtime without waking the object.
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
   }
 
   _corsHeaders() {
     return {
       "Access-Control-Allow-Origin": (this.env && this.env.FRONTEND_URL) || "*",
       "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Admin-Token",
     };
   }
 
@@ -37,13 +59,22 @@ export class GameRoom {
       players: [],
       maxPlayers: 2,
       bids: {},
+      bidStage: null,
+      committed: [],
+      revealed: [],
       bidDeadline: null,
+      revealDeadline: null,
       choiceDeadline: null,
       winnerId: null,
       loserId: null,
       winningBidMs: null,
       losingBidMs: null,
       drawOddsSide: null,
+      drawOddsEnabled: true,
+      result: null,
+      termination: null,
+      adjudication: null,
+      ratingChange: null,
       colors: {},
       clocks: null,
       moves: [],
@@ -52,9 +83,30 @@ export class GameRoom {
       createdAt: now,
       updatedAt: now,
       bidDurationMs: 10000,
+      revealDurationMs: 10000,
       choiceDurationMs: 10000,
       mainTimeMs: 300000,
+      incrementMs: 0,
+      delayMs: 0,
+      timeControl: '5+0',
       private: false,
+      shareToken: null,
+      spectatorDelayMs: 0,
+      spectatorFlushAt: [],
+      chatAudience: 'everyone',
+      chatFilter: [],
+      chatMutes: {},
+      gameId: null,
+      colorPickedBy: null,
+      tournament: null,
+      match: null,
+      hostToken: null,
+      passwordHash: null,
+      passwordSalt: null,
+      passwordIterations: null,
+      invites: [],
+      gameStartedAt: null,
+      finishedAt: null,
       
       closed: false,
       closeReason: null,
@@ -81,6 +133,7 @@ export class GameRoom {
         updatedAt: this.room.updatedAt || this._now(),
         clocks: this.room.clocks,
         mainTimeMs: this.room.mainTimeMs,
+        timeControl: this.room.timeControl,
         liveWhiteMs: this.room.clocks?.whiteRemainingMs,
         liveBlackMs: this.room.clocks?.blackRemainingMs
       };
@@ -90,23 +143,114 @@ export class GameRoom {
         headers: { 'Content-Type': 'application/json' }
       }));
     } catch (e) {
-      // Handle index update failures silently
+      this._log('error', 'index_update_failed', { operation: 'update', error: e.message });
+      this._recordMetrics({ counters: [['index_update_failures_total', { operation: 'update' }]] });
+    }
+  }
+
+  async _indexRemove() {
+    try {
+      if (this.env?.ROOM_INDEX) {
+        const indexId = this.env.ROOM_INDEX.idFromName('index');
+        const obj = this.env.ROOM_INDEX.get(indexId);
+        await obj.fetch(new Request('https://do/remove', {
+          method: 'POST',
+          body: JSON.stringify({ roomId: this.room.roomId }),
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+    } catch (e) {
+      this._log('error', 'index_update_failed', { operation: 'remove', error: e.message });
+      this._recordMetrics({ counters: [['index_update_failures_total', { operation: 'remove' }]] });
     }
   }
 
+  // Metrics go to one global object; nothing waits for them.
+  _recordMetrics(metrics) {
+    this.state.waitUntil(recordMetrics(this.env, metrics));
+  }
+
+  _recordGameStarted() {
+    this._log('info', 'game_started', { gameId: this.room.gameId, timeControl: this._gameControl().key });
+    this._recordMetrics({ counters: [['games_started_total', { time_control: this._gameControl().key }]] });
+  }
+
   async _save() {
     this.room.updatedAt = Date.now();
+    if (this.room.spectatorDelayMs > 0) {
+      const now = this._now();
+      this.room.spectatorFlushAt = [...(this.room.spectatorFlushAt || []).filter(at => at > now), now + this.room.spectatorDelayMs];
+    }
     await this.state.storage.put('room', this.room);
+    await this._scheduleAlarm();
     this._broadcastUpdate();
     await this._indexUpdate();
   }
 
+  // Earliest pending deadline for the current phase, or null when nothing is
+  // waiting on the clock. Deadlines are compared with `now > deadline`, so the
+  // alarm fires one millisecond after each one.
+  _nextDeadline() {
+    const room = this.room;
+    if (!room.roomId) return null;
+
+    const now = this._now();
+    const flushes = (room.spectatorFlushAt || []).filter(at => at > now);
+    if (room.closed) return flushes.length ? Math.min(...flushes) : null;
+
+    const deadlines = [...flushes];
+    if (room.startConfirmDeadline) deadlines.push(room.startConfirmDeadline + 1);
+    if (room.phase === 'BIDDING') {
+      const deadline = room.bidStage === 'REVEAL' ? room.revealDeadline : room.bidDeadline;
+      if (deadline) deadlines.push(deadline + 1);
+    }
+    if (room.phase === 'COLOR_PICK' && room.choiceDeadline) deadlines.push(room.choiceDeadline + 1);
+    if (room.phase === 'PLAYING' && room.clocks) {
+      const turn = room.clocks.turn;
+      const remaining = turn === 'white' ? room.clocks.whiteRemainingMs : room.clocks.blackRemainingMs;
+      deadlines.push((room.clocks.lastTickAt || this._now()) + this._clockDelayMs() + Math.max(0, remaining));
+      if (room.disconnectedPlayerId && room.disconnectStart) {
+        deadlines.push(room.disconnectStart + room.disconnectTimeoutMs + 1);
+      } else {
+        deadlines.push((room.updatedAt || this._now()) + INACTIVITY_MS + 1);
+      }
+    }
+    if (room.phase === 'FINISHED' && room.rematchWindowEnds) deadlines.push(room.rematchWindowEnds + 1);
+    if (room.phase === 'FINISHED' && room.match?.nextGameAt) deadlines.push(room.match.nextGameAt);
+
+    return deadlines.length ? Math.min(...deadlines) : null;
+  }
+
+  async _scheduleAlarm() {
+    const next = this._nextDeadline();
+    if (next === null) {
+      await this.state.storage.deleteAlarm();
+      return;
+    }
+    await this.state.storage.setAlarm(Math.max(next, this._now()));
+  }
+
+  async alarm() {
+    this._requestId = null;
+    await this._load();
+    if (!this.room.roomId) return;
+    const saveNeeded = await this._runDeadlines(this._now());
+    if (saveNeeded) await this._save();
+    else await this._scheduleAlarm();
+  }
+
   _now() {
     return Date.now();
   }
 
+  _log(level, event, fields = {}) {
+    log(level, event, { requestId: this._requestId || null, roomId: this.room?.roomId || null, ...fields });
+  }
+
   async fetch(request) {
+    this._requestId = request.headers.get('X-Request-Id');
     if (request.method === 'POST' && request.url.endsWith('/delete')) {
+      await this.state.storage.deleteAlarm();
       await this.state.storage.deleteAll();
       return new Response(JSON.stringify({ ok: true, message: 'Room deleted' }), { 
         headers: { 'Content-Type': 'application/json' } 
@@ -121,17 +265,39 @@ export class GameRoom {
     const url = new URL(request.url);
     const path = url.pathname.replace(/\/\/+/g, '/');
     try {
+      if (request.method === 'POST' && PLAYER_ACTIONS.includes(path)) {
+        const { playerId } = await request.clone().json().catch(() => ({}));
+        if (!this.room.players.some(p => p.id === playerId)) return this._response({ error: 'spectators_cannot_act' }, 403);
+      }
+
       if (path === '/initRoom' && request.method === 'POST') return this._handleInit(request);
       if (path === '/joinRoom' && request.method === 'POST') return this._handleJoin(request);
       if (path === '/startBidding' && request.method === 'POST') return this._handleStartBidding(request);
       if (path === '/submitBid' && request.method === 'POST') return this._handleSubmitBid(request);
+      if (path === '/revealBid' && request.method === 'POST') return this._handleRevealBid(request);
       if (path === '/chooseColor' && request.method === 'POST') return this._handleChooseColor(request);
-      if (path === '/makeMove' && request.method === 'POST') return this._handleMakeMove(request);
+      if (path === '/makeMove' && request.method === 'POST') {
+        const startedAt = Date.now();
+        const response = await this._handleMakeMove(request);
+        this._recordMetrics({ observations: [['move_latency_ms', { outcome: response.ok ? 'accepted' : 'rejected' }, Date.now() - startedAt]] });
+        return response;
+      }
+      if (path === '/timeForfeit' && request.method === 'POST') return this._handleTimeForfeit(request);
       if (path === '/resign' && request.method === 'POST') return this._handleResign(request);
       if (path === '/leaveRoom' && request.method === 'POST') return this._handleLeave(request);
       if (path === '/rematch' && request.method === 'POST') return this._handleRematch(request);
-      if (path === '/getState' && request.method === 'GET') return this._handleGetState();
+      if (path === '/getState' && request.method === 'GET') return this._handleGetState(request);
       if (path === '/heartbeat' && request.method === 'POST') return this._handleHeartbeat(request);
+      if (path === '/createInvite' && request.method === 'POST') return this._handleCreateInvite(request);
+      if (path === '/revokeInvite' && request.method === 'POST') return this._handleRevokeInvite(request);
+      if (path === '/invites' && request.method === 'GET') return this._handleListInvites(request);
+      if (path === '/inviteInfo' && request.method === 'GET') return this._handleInviteInfo(request);
+      if (path.startsWith('/admin/')) {
+        if (!this._isAdmin(request)) return this._response({ error: 'admin_required' }, 403);
+        if (path === '/admin/finish' && request.method === 'POST') return this._handleAdminFinish(request);
+        if (path === '/admin/abort' && request.method === 'POST') return this._handleAdminAbort(request);
+        if (path === '/admin/kick' && request.method === 'POST') return this._handleAdminKick(request);
+      }
 
       return this._response({ error: 'not_found' }, 404);
     } catch (err) {
@@ -139,50 +305,399 @@ export class GameRoom {
     }
   }
 
-  _handleWebSocket(request) {
+  async _handleWebSocket(request) {
     const url = new URL(request.url);
+    const spectate = url.searchParams.get('spectate') === '1';
     const playerId = url.searchParams.get('playerId');
-    if (!playerId) {
+    if (!spectate && !playerId) {
       return this._response({ error: 'playerId_required' }, 400);
     }
+    if (spectate && !this._canSpectate(url)) {
+      return this._response({ error: 'share_token_required' }, 403);
+    }
 
     const webSocketPair = new WebSocketPair();
     const [client, server] = Object.values(webSocketPair);
 
-    server.accept();
-    server.serializeAttachment({ playerId });
-
-    try {
-      this._sockets.add(server);
-      server.addEventListener('close', () => {
-        try { this._sockets.delete(server); } catch (e) {}
-      });
-    } catch (e) {}
+    // Hibernatable sockets outlive eviction of this object; who is on the other
+    // end is recovered from the attachment rather than from memory.
+    this.state.acceptWebSocket(server, spectate ? ['spectator'] : ['player']);
+    // Spectators are rate limited in chat by session or IP, which a reconnect
+    // does not change.
+    const attachment = spectate
+      ? {
+        role: 'spectator',
+        spectatorId: crypto.randomUUID(),
+        rateKey: playerId ? `player:${playerId}` : `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`,
+        name: url.searchParams.get('name') || null,
+        joinedAt: this._now()
+      }
+      : { role: 'player', playerId };
+    server.serializeAttachment(attachment);
 
-    server.send(JSON.stringify({ type: 'init', room: this.room }));
+    const viewer = spectate ? { role: 'spectator', playerId: null } : this._viewerFor(playerId);
+    const chat = await this._chatHistoryFor(attachment);
+    server.send(JSON.stringify({ type: 'init', room: this._projectRoom(viewer), chat }));
+    if (spectate) this._broadcastUpdate();
 
     return new Response(null, { status: 101, webSocket: client });
   }
 
-  _broadcastUpdate() {
-    const msg = JSON.stringify({ type: 'update', room: this.room });
-    for (const ws of this._sockets) {
+  async webSocketMessage(ws, message) {
+    await this._load();
+    await this._handleSocketMessage(ws, message);
+  }
+
+  async webSocketClose(ws, code, reason) {
+    try { ws.close(code, reason); } catch (e) {}
+    await this._load();
+    const { role } = ws.deserializeAttachment() || {};
+    if (role === 'spectator') this._broadcastUpdate();
+  }
+
+  async webSocketError(ws) {
+    await this.webSocketClose(ws, 1011, 'socket_error');
+  }
+
+  // Socket actions reuse the HTTP handlers: each message becomes the matching
+  // internal request, with playerId taken from the socket rather than the
+  // message, and the handler's response comes back as an `ack` or `error`
+  // carrying the client's message id.
+  async _handleSocketMessage(ws, raw) {
+    const reply = (msg) => {
+      try { ws.send(JSON.stringify(msg)); } catch (e) {}
+    };
+
+    const checked = validateSocketMessage('room', raw);
+    if (checked.error) {
+      reply({ type: 'error', id: checked.id, action: checked.type, status: 400, error: checked.error, fields: checked.fields });
+      return;
+    }
+
+    const { type, id, payload } = checked;
+    if (CHAT_MESSAGES.includes(type)) {
+      const result = await this._handleChatMessage(ws, type, payload);
+      if (result.error) reply({ type: 'error', id, action: type, status: result.status, error: result.error, details: result });
+      else reply({ type: 'ack', id, action: type, result });
+      return;
+    }
+    const path = SOCKET_ACTIONS[type];
+    const { role, playerId } = ws.deserializeAttachment() || {};
+    if (role !== 'player') {
+      reply({ type: 'error', id, action: type, status: 403, error: 'spectators_cannot_act' });
+      return;
+    }
+
+    const res = await this.fetch(new Request(`https://do${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...payload, playerId })
+    }));
+    const body = await res.json().catch(() => ({}));
+    if (res.ok) reply({ type: 'ack', id, action: type, result: body });
+    else reply({ type: 'error', id, action: type, status: res.status, error: body.error, details: body });
+  }
+
+  _canSpectate(url) {
+    return !this.room.private || url.searchParams.get('shareToken') === this.room.shareToken;
+  }
+
+  async _loadChat() {
+    if (!this.chat) this.chat = (await this.state.storage.get('chat')) || [];
+    return this.chat;
+  }
+
+  _chatSenderKey(attachment) {
+    return attachment.role === 'player' ? attachment.playerId : `spectator-${attachment.spectatorId}`;
+  }
+
+  _chatViewer(attachment) {
+    return attachment.role === 'player' ? this._viewerFor(attachment.playerId) : { role: 'spectator', playerId: null };
+  }
+
+  // Spectators only see chat when the room allows everyone to talk; players
+  // never see senders they have muted.
+  _canSeeChat(attachment, senderKey) {
+    if (attachment.role !== 'player') return this.room.chatAudience !== 'players';
+    return !(this.room.chatMutes?.[attachment.playerId] || []).includes(senderKey);
+  }
+
+  // Like _idAlias, but spectator sender ids are already anonymous.
+  _chatAlias(viewer) {
+    const alias = this._idAlias(viewer);
+    return id => (id?.startsWith('spectator-') ? id : alias(id));
+  }
+
+  _projectChat(message, viewer) {
+    return { ...message, senderId: this._chatAlias(viewer)(message.senderId) };
+  }
+
+  async _chatHistoryFor(attachment) {
+    const chat = await this._loadChat();
+    const viewer = this._chatViewer(attachment);
+    return chat
+      .filter(m => this._canSeeChat(attachment, m.senderId))
+      .map(m => this._projectChat(m, viewer));
+  }
+
+  // Other players are named the way the caller sees them: seat aliases for
+  // players, spectator ids as sent in chat messages. Raw ids pass through.
+  _resolveSeatAlias(target) {
+    const seat = /^seat-(\d+)$/.exec(target || '');
+    if (seat) return this.room.players[Number(seat[1]) - 1]?.id || null;
+    return target || null;
+  }
+
+  async _handleChatMessage(ws, type, payload) {
+    const attachment = ws.deserializeAttachment() || {};
+    const now = this._now();
+
+    if (type === 'mute') {
+      if (attachment.role !== 'player') return { status: 403, error: 'spectators_cannot_mute' };
+      const target = this._resolveSeatAlias(payload.target);
+      if (!target || target === attachment.playerId) return { status: 400, error: 'invalid_mute_target' };
+      const muted = new Set(this.room.chatMutes[attachment.playerId] || []);
+      if (payload.muted === false) muted.delete(target);
+      else muted.add(target);
+      this.room.chatMutes[attachment.playerId] = [...muted];
+      await this._save();
+      return { ok: true, muted: [...muted].map(this._chatAlias(this._chatViewer(attachment))) };
+    }
+
+    if (type === 'chatSettings') {
+      if (attachment.role !== 'player') return { status: 403, error: 'spectators_cannot_act' };
+      if (!CHAT.audiences.includes(payload.audience)) return { status: 400, error: 'invalid_chat_audience' };
+      this.room.chatAudience = payload.audience;
+      await this._save();
+      return { ok: true, audience: this.room.chatAudience };
+    }
+
+    // Talking during the auction would let players agree on their bids.
+    if (this.room.phase === 'BIDDING') return { status: 409, error: 'chat_disabled_during_bidding' };
+    if (attachment.role !== 'player' && this.room.chatAudience === 'players') return { status: 403, error: 'chat_players_only' };
+    const text = typeof payload.text === 'string' ? payload.text.trim() : '';
+    if (!text || text.length > CHAT.maxLength) return { status: 400, error: 'invalid_message' };
+
+    // Send times are stored with the chat so the limit survives hibernation.
+    const senderKey = this._chatSenderKey(attachment);
+    const rateKey = attachment.rateKey || senderKey;
+    const chatRate = {};
+    for (const [key, times] of Object.entries(await this.state.storage.get('chatRate') || {})) {
+      const recent = times.filter(t => now - t < CHAT.rateWindowMs);
+      if (recent.length) chatRate[key] = recent;
+    }
+    const recent = chatRate[rateKey] || [];
+    if (recent.length >= CHAT.rateLimit) {
+      return { status: 429, error: 'chat_rate_limited', retryAfterMs: CHAT.rateWindowMs - (now - recent[0]) };
+    }
+    chatRate[rateKey] = [...recent, now];
+
+    const words = [...String(this.env?.CHAT_WORD_FILTER || '').split(','), ...(this.room.chatFilter || [])];
+    const message = {
+      messageId: `msg-${crypto.randomUUID()}`,
+      senderRole: attachment.role,
+      senderId: senderKey,
+      senderName: attachment.role === 'player'
+        ? this.room.players.find(p => p.id === attachment.playerId)?.name || null
+        : attachment.name,
+      text: filterChatText(text, words),
+      at: now
+    };
+
+    const chat = await this._loadChat();
+    chat.push(message);
+    if (chat.length > CHAT.historyLimit) chat.splice(0, chat.length - CHAT.historyLimit);
+    await this.state.storage.put({ chat, chatRate });
+
+    for (const socket of this.state.getWebSockets()) {
+      try {
+        const other = socket.deserializeAttachment() || {};
+        if (socket.readyState !== 1 || !this._canSeeChat(other, senderKey)) continue;
+        socket.send(JSON.stringify({ type: 'chat', message: this._projectChat(message, this._chatViewer(other)) }));
+      } catch (e) {}
+    }
+    return { ok: true, messageId: message.messageId };
+  }
+
+  _spectators() {
+    const spectators = [];
+    for (const ws of this.state.getWebSockets('spectator')) {
+      if (ws.readyState !== 1) continue;
+      const attachment = ws.deserializeAttachment() || {};
+      if (attachment.role === 'spectator') spectators.push(attachment);
+    }
+    return spectators;
+  }
+
+  // Spectators see a delayed board, so they are left out here and pushed the
+  // update by the alarm once the delay has elapsed (see spectatorFlushAt).
+  _broadcastUpdate({ delayedSpectators = false } = {}) {
+    for (const ws of this.state.getWebSockets()) {
       try {
-        if (ws && ws.readyState === 1) ws.send(msg);
+        if (!ws || ws.readyState !== 1) continue;
+        const { role, playerId } = ws.deserializeAttachment() || {};
+        const delayed = role === 'spectator' && this.room.spectatorDelayMs > 0;
+        if (delayed !== delayedSpectators) continue;
+        ws.send(JSON.stringify({ type: 'update', room: this._projectRoom(this._viewerFor(playerId)) }));
       } catch (e) {}
     }
   }
 
+  _isAdmin(request) {
+    const token = this.env?.ADMIN_TOKEN;
+    return !!token && timingSafeEqual(request.headers.get('X-Admin-Token'), token);
+  }
+
+  _viewerFor(playerId, request = null) {
+    if (request && this._isAdmin(request)) return { role: 'admin', playerId: playerId || null };
+    if (playerId && (this.room.players || []).some(p => p.id === playerId)) return { role: 'player', playerId };
+    return { role: 'spectator', playerId: null };
+  }
+
+  // Players other than the viewer are shown by seat ("seat-1", "seat-2").
+  _idAlias(viewer) {
+    if (viewer.role === 'admin') return id => id;
+    const seats = (this.room.players || []).map(p => p.id);
+    return id => {
+      if (!id || id === viewer.playerId) return id;
+      const seat = seats.indexOf(id);
+      return seat >= 0 ? `seat-${seat + 1}` : 'seat-unknown';
+    };
+  }
+
+  // Rewinds a spectator's copy of the room to how the game stood
+  // spectatorDelayMs ago, so live viewers cannot relay moves to a player.
+  _applySpectatorDelay(room, now) {
+    const cutoff = now - room.spectatorDelayMs;
+    if (room.phase === 'FINISHED' && room.finishedAt && room.finishedAt > cutoff && room.gameStartedAt) {
+      room.phase = 'PLAYING';
+      for (const field of ['result', 'termination', 'adjudication', 'rematchWindowEnds']) room[field] = null;
+      room.winnerId = room.players.find(p => p.id !== room.loserId)?.id || null;
+      room.rematchVotes = {};
+      if (room.clocks) delete room.clocks.frozenAt;
+    }
+    if (room.phase !== 'PLAYING' || !room.clocks) return;
+
+    const visible = (room.moves || []).filter(m => m.at <= cutoff);
+    if (visible.length === room.moves.length) return;
+
+    const game = new Chess();
+    for (const { move } of visible) game.move({ from: move.slice(0, 2), to: move.slice(2, 4), promotion: move[4] });
+
+    // Regular match games start both clocks at the match's control; otherwise
+    // the bid loser starts with full time and the winner with their bid.
+    const match = room.match;
+    const regular = match && (match.current || match.games.at(-1)?.kind) === 'regular';
+    const startingMs = color => {
+      if (regular) return match.control.mainTimeMs;
+      return room.colors[room.loserId] === color ? room.mainTimeMs : room.winningBidMs;
+    };
+    const lastRemaining = color => {
+      const last = visible.filter(m => room.colors[m.by] === color).at(-1);
+      return last && typeof last.remainingMs === 'number' ? last.remainingMs : startingMs(color);
+    };
+    room.moves = visible;
+    room.gameFen = game.fen();
+    room.clocks.whiteRemainingMs = lastRemaining('white');
+    room.clocks.blackRemainingMs = lastRemaining('black');
+    room.clocks.lastTickAt = visible.length ? visible.at(-1).at : room.gameStartedAt;
+    room.clocks.turn = visible.length % 2 === 0 ? 'white' : 'black';
+  }
+
+  _remapKeys(obj, alias) {
+    if (!obj) return obj;
+    return Object.fromEntries(Object.entries(obj).map(([id, value]) => [alias(id), value]));
+  }
+
+  // Tailors the room to one viewer. Admins see the stored room; players and
+  // spectators get a copy with internal bookkeeping stripped, other players'
+  // ids replaced by seat aliases and opponent bids hidden while bidding.
+  _projectRoom(viewer) {
+    const spectators = this._spectators();
+    if (viewer.role === 'admin') return { ...this.room, spectatorCount: spectators.length, spectators };
+
+    const room = structuredClone(this.room);
+    room.spectatorCount = spectators.length;
+    room.spectators = spectators.map(({ name, joinedAt }) => ({ name, joinedAt }));
+    if (viewer.role === 'spectator') {
+      delete room.shareToken;
+      if (room.spectatorDelayMs > 0) this._applySpectatorDelay(room, this._now());
+    }
+
+    const alias = this._idAlias(viewer);
+    const bidding = room.phase === 'BIDDING';
+
+    room.startRequested = !!room.startRequestedBy;
+    room.startRequestedByMe = !!viewer.playerId && room.startRequestedBy === viewer.playerId;
+    delete room.startRequestedBy;
+    delete room.removedAt;
+    delete room.kickedPlayerIds;
+    delete room.spectatorFlushAt;
+    room.chatMuted = (room.chatMutes?.[viewer.playerId] || []).map(this._chatAlias(viewer));
+    delete room.chatMutes;
+    room.passwordProtected = !!room.passwordHash;
+    for (const field of ['hostToken', 'passwordHash', 'passwordSalt', 'passwordIterations', 'invites']) delete room[field];
+
+    room.players = (room.players || []).map(p => ({ ...p, id: alias(p.id) }));
+    room.bids = Object.fromEntries(Object.entries(room.bids || {}).map(([id, bid]) => {
+      if (bidding && id !== viewer.playerId) {
+        return [alias(id), { committed: true, revealed: typeof bid.amount === 'number' }];
+      }
+      return [alias(id), bid];
+    }));
+    room.committed = (room.committed || []).map(alias);
+    room.revealed = (room.revealed || []).map(alias);
+    room.colors = this._remapKeys(room.colors, alias);
+    room.rematchVotes = this._remapKeys(room.rematchVotes, alias);
+    room.ratingChange = this._remapKeys(room.ratingChange, alias);
+    room.moves = (room.moves || []).map(m => ({ ...m, by: alias(m.by) }));
+    if (room.match) {
+      room.match = {
+        ...room.match,
+        score: this._remapKeys(room.match.score, alias),
+        winnerId: alias(room.match.winnerId),
+        games: room.match.games.map(g => ({ ...g, whiteId: alias(g.whiteId), blackId: alias(g.blackId), winnerId: alias(g.winnerId) }))
+      };
+    }
+    for (const field of ['winnerId', 'loserId', 'drawOddsSide', 'disconnectedPlayerId', 'colorPickedBy']) {
+      room[field] = alias(room[field]);
+    }
+    return room;
+  }
+
   async _handleInit(request) {
     if (this.room?.roomId) return this._response({ error: 'already_initialized' }, 400);
     const body = await request.json();
     const now = this._now();
+    const control = resolveTimeControl(body);
+    if (body.timeControl && !control) return this._response({ error: 'invalid_time_control' }, 400);
+    if (body.password && !body.private) return this._response({ error: 'password_requires_private_room' }, 400);
+    const match = body.match ? this._createMatch(body.match, control) : null;
+    if (body.match && !match) return this._response({ error: 'invalid_match' }, 400);
     this.room.roomId = body.roomId || `room-${crypto.randomUUID()}`;
     this.room.maxPlayers = body.maxPlayers || 2;
     this.room.bidDurationMs = body.bidDurationMs || this.room.bidDurationMs;
+    this.room.revealDurationMs = body.revealDurationMs || this.room.revealDurationMs;
     this.room.choiceDurationMs = body.choiceDurationMs || this.room.choiceDurationMs;
-    this.room.mainTimeMs = body.mainTimeMs || this.room.mainTimeMs;
+    if (control) {
+      this.room.mainTimeMs = control.mainTimeMs;
+      this.room.incrementMs = control.incrementMs;
+      this.room.delayMs = control.delayMs;
+      this.room.timeControl = control.key;
+    }
     this.room.private = body.private || false;
+    if (this.room.private) this.room.shareToken = `share-${crypto.randomUUID()}`;
+    if (body.password) {
+      this.room.passwordSalt = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+      this.room.passwordIterations = ACCOUNTS.pbkdf2Iterations;
+      this.room.passwordHash = await hashPassword(body.password, this.room.passwordSalt, this.room.passwordIterations);
+    }
+    this.room.spectatorDelayMs = body.spectatorDelayMs || 0;
+    if (CHAT.audiences.includes(body.chatAudience)) this.room.chatAudience = body.chatAudience;
+    if (Array.isArray(body.chatFilter)) this.room.chatFilter = body.chatFilter.filter(w => typeof w === 'string' && w.trim());
+    if (typeof body.drawOddsEnabled === 'boolean') this.room.drawOddsEnabled = body.drawOddsEnabled;
+    this.room.tournament = body.tournament || null;
+    this.room.match = match;
     this.room.createdAt = now;
     this.room.phase = 'LOBBY';
     
@@ -206,24 +721,141 @@ export class GameRoom {
       }
     }
     
+    // Private rooms get a host token for managing invites and a first invite
+    // to hand out.
+    let invite = null;
+    if (this.room.private) {
+      this.room.hostToken = `host-${crypto.randomUUID()}`;
+      invite = await this._createInvite(now, body.inviteTtlMs);
+    }
+
+    await this._save();
+    return this._response({
+      ok: true,
+      roomId: this.room.roomId,
+      shareToken: this.room.shareToken,
+      hostToken: this.room.hostToken,
+      invite
+    });
+  }
+
+  async _createInvite(now, ttlMs) {
+    const ttl = Math.min(Math.max(Number(ttlMs) || INVITES.defaultTtlMs, INVITES.minTtlMs), INVITES.maxTtlMs);
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = generateInviteCode();
+      if (!(await this._claimInviteCode(code, now + ttl))) continue;
+      const invite = { code, token: `invite-${crypto.randomUUID()}`, createdAt: now, expiresAt: now + ttl, revokedAt: null, usedBy: [] };
+      this.room.invites.push(invite);
+      return invite;
+    }
+    return null;
+  }
+
+  // Codes are resolved through the index, so they must be unique across rooms.
+  async _claimInviteCode(code, expiresAt) {
+    if (!this.env?.ROOM_INDEX) return true;
+    try {
+      const obj = this.env.ROOM_INDEX.get(this.env.ROOM_INDEX.idFromName('index'));
+      const res = await obj.fetch(new Request('https://do/invites/claim', {
+        method: 'POST',
+        body: JSON.stringify({ code, roomId: this.room.roomId, expiresAt }),
+        headers: { 'Content-Type': 'application/json' }
+      }));
+      return res.ok;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  _inviteError(invite, now) {
+    if (invite.revokedAt) return 'invite_revoked';
+    if (now > invite.expiresAt) return 'invite_expired';
+    return null;
+  }
+
+  // Private rooms admit the host, anyone with the room password, and anyone
+  // holding a live invite code or invite token. Returns an error code or null.
+  async _joinAccessError(body, now) {
+    if (!this.room.private) return null;
+    if (body.hostToken && body.hostToken === this.room.hostToken) return null;
+    if (body.password && this.room.passwordHash) {
+      const hash = await hashPassword(String(body.password), this.room.passwordSalt, this.room.passwordIterations);
+      return timingSafeEqual(hash, this.room.passwordHash) ? null : 'invalid_password';
+    }
+    const code = body.inviteCode ? normalizeInviteCode(body.inviteCode) : null;
+    const invite = (this.room.invites || []).find(i =>
+      (code && i.code === code) || (body.inviteToken && i.token === body.inviteToken)
+    );
+    if (invite) return this._inviteError(invite, now);
+    if (code || body.inviteToken) return 'invalid_invite';
+    return this.room.passwordHash ? 'password_or_invite_required' : 'invite_required';
+  }
+
+  async _handleCreateInvite(request) {
+    const { hostToken, ttlMs } = await request.json().catch(() => ({}));
+    if (!this.room.private) return this._response({ error: 'room_not_private' }, 400);
+    if (!hostToken || hostToken !== this.room.hostToken) return this._response({ error: 'host_only' }, 403);
+    if (this.room.closed) return this._response({ error: 'room_closed' }, 410);
+    const invite = await this._createInvite(this._now(), ttlMs);
+    if (!invite) return this._response({ error: 'invite_code_unavailable' }, 503);
+    await this._save();
+    return this._response({ ok: true, invite });
+  }
+
+  async _handleRevokeInvite(request) {
+    const { hostToken, code } = await request.json().catch(() => ({}));
+    if (!hostToken || hostToken !== this.room.hostToken) return this._response({ error: 'host_only' }, 403);
+    const invite = (this.room.invites || []).find(i => i.code === normalizeInviteCode(code || ''));
+    if (!invite) return this._response({ error: 'invite_not_found' }, 404);
+    if (!invite.revokedAt) invite.revokedAt = this._now();
+
+    try {
+      if (this.env?.ROOM_INDEX) {
+        const obj = this.env.ROOM_INDEX.get(this.env.ROOM_INDEX.idFromName('index'));
+        await obj.fetch(new Request('https://do/invites/release', {
+          method: 'POST',
+          body: JSON.stringify({ code: invite.code, roomId: this.room.roomId }),
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+    } catch (e) {}
+
     await this._save();
-    return this._response({ ok: true, roomId: this.room.roomId });
+    return this._response({ ok: true, invite });
+  }
+
+  _handleListInvites(request) {
+    const hostToken = new URL(request.url).searchParams.get('hostToken');
+    if (!hostToken || hostToken !== this.room.hostToken) return this._response({ error: 'host_only' }, 403);
+    const now = this._now();
+    const invites = (this.room.invites || []).map(i => ({ ...i, status: this._inviteError(i, now) ? (i.revokedAt ? 'revoked' : 'expired') : 'active' }));
+    return this._response({ ok: true, invites });
+  }
+
+  // Public view of an invite, for GET /invite/:code. The token stays secret.
+  _handleInviteInfo(request) {
+    const code = normalizeInviteCode(new URL(request.url).searchParams.get('code') || '');
+    const invite = (this.room.invites || []).find(i => i.code === code);
+    if (!invite || !this.room.roomId) return this._response({ error: 'invite_not_found' }, 404);
+    const error = this._inviteError(invite, this._now());
+    if (error) return this._response({ error }, 410);
+    if (this.room.closed) return this._response({ error: 'room_closed' }, 410);
+    return this._response({
+      ok: true,
+      code: invite.code,
+      roomId: this.room.roomId,
+      expiresAt: invite.expiresAt,
+      passwordProtected: !!this.room.passwordHash,
+      phase: this.room.phase,
+      playerCount: this.room.players.length,
+      maxPlayers: this.room.maxPlayers,
+      timeControl: this.room.timeControl
+    });
   }
 
   async _handleJoin(request) {
-    console.log('🚪 _handleJoin called for room:', this.room?.roomId);
     if (this.room.updatedAt && (this._now() - this.room.updatedAt) > 5 * 60 * 1000) {
-      try {
-        if (this.env?.ROOM_INDEX) {
-          const indexId = this.env.ROOM_INDEX.idFromName('index');
-          const obj = this.env.ROOM_INDEX.get(indexId);
-          await obj.fetch(new Request('https://do/remove', {
-            method: 'POST',
-            body: JSON.stringify({ roomId: this.room.roomId }),
-            headers: { 'Content-Type': 'application/json' }
-          }));
-        }
-      } catch (e) {}
+      await this._indexRemove();
       this.room.removedAt = this._now();
       await this._save();
       return this._response({ error: 'room_too_old' }, 410);
@@ -235,13 +867,23 @@ export class GameRoom {
     const { playerId, name } = body;
     if (!playerId) return this._response({ error: 'playerId_required' }, 400);
     if (this.room.phase !== 'LOBBY') return this._response({ error: 'not_in_lobby' }, 400);
+    if ((this.room.kickedPlayerIds || []).includes(playerId)) return this._response({ error: 'kicked' }, 403);
     if (this.room.players.find(p => p.id === playerId)) {
-      return this._response({ ok: true, room: this.room });
+      return this._response({ ok: true, room: this._projectRoom(this._viewerFor(playerId, request)) });
     }
     if (this.room.players.length >= this.room.maxPlayers) return this._response({ error: 'room_full' }, 400);
+    const accessError = await this._joinAccessError(body, this._now());
+    if (accessError) {
+      this._log('info', 'room_join_rejected', { playerId, reason: accessError });
+      return this._response({ error: accessError }, 403);
+    }
+    const invite = (this.room.invites || []).find(i =>
+      (body.inviteCode && i.code === normalizeInviteCode(body.inviteCode)) || (body.inviteToken && i.token === body.inviteToken)
+    );
+    if (invite) invite.usedBy.push(playerId);
     this.room.players.push({ id: playerId, name: name || null, joinedAt: this._now() });
     await this._save();
-    return this._response({ ok: true, room: this.room });
+    return this._response({ ok: true, room: this._projectRoom(this._viewerFor(playerId, request)) });
   }
 
   async _handleStartBidding(request) {
@@ -255,18 +897,14 @@ export class GameRoom {
     if (this.room.startRequestedBy && this.room.startConfirmDeadline) {
       if (this.room.startRequestedBy === playerId) return this._response({ ok: true, message: 'already_requested' });
       if (now <= this.room.startConfirmDeadline) {
-        this.room.phase = 'BIDDING';
-        this.room.bidDeadline = now + this.room.bidDurationMs;
-        this.room.bids = {};
-        this.room.winnerId = null;
-        this.room.loserId = null;
-        this.room.winningBidMs = null;
-        this.room.losingBidMs = null;
-        this.room.drawOddsSide = null;
-        this.room.choiceAttempts = 0;
-        this.room.currentPicker = null;
         this.room.startRequestedBy = null;
         this.room.startConfirmDeadline = null;
+        if (this.room.match) {
+          this._startMatchGame(now);
+          await this._save();
+          return this._response({ ok: true, match: this._projectRoom(this._viewerFor(playerId, request)).match, bidDeadline: this.room.bidDeadline, clocks: this.room.clocks });
+        }
+        this._startBiddingPhase(now);
         await this._save();
         return this._response({ ok: true, bidDeadline: this.room.bidDeadline });
       }
@@ -282,30 +920,215 @@ export class GameRoom {
     return this._response({ ok: true, startRequestedBy: playerId, startConfirmDeadline: this.room.startConfirmDeadline });
   }
 
+  // Sealed bidding: players first commit to sha256("<amount>:<salt>") as hex,
+  // then reveal amount and salt once both commitments are in or the bid
+  // deadline passes. Nothing in the room reveals an amount before that.
   async _handleSubmitBid(request) {
     const body = await request.json();
-    const { playerId, amount } = body;
+    const { playerId, commitment } = body;
     if (this.room.phase !== 'BIDDING') return this._response({ error: 'not_bidding' }, 400);
-    if (!playerId || typeof amount !== 'number') return this._response({ error: 'playerId_and_amount_required' }, 400);
+    if (!playerId || typeof commitment !== 'string') return this._response({ error: 'playerId_and_commitment_required' }, 400);
+    if (!/^[0-9a-f]{64}$/i.test(commitment)) return this._response({ error: 'invalid_commitment' }, 400);
     if (!this.room.players.find(p => p.id === playerId)) return this._response({ error: 'unknown_player' }, 400);
 
-    if (typeof this.room.mainTimeMs === 'number' && (amount < 0 || amount > this.room.mainTimeMs)) {
-      return this._response({ error: 'invalid_bid_amount' }, 400);
-    }
-
     const now = this._now();
-    if (this.room.bidDeadline && now > this.room.bidDeadline) {
+    if (this.room.bidStage === 'REVEAL' || (this.room.bidDeadline && now > this.room.bidDeadline)) {
       await this._resolveBidsIfNeeded();
       return this._response({ error: 'bidding_closed' }, 400);
     }
     if (this.room.bids[playerId]) return this._response({ error: 'already_bid' }, 400);
 
-    this.room.bids[playerId] = { amount, submittedAt: now };
+    this.room.bids[playerId] = { commitment: commitment.toLowerCase(), committedAt: now };
+    this.room.committed = [...(this.room.committed || []), playerId];
+    await this._save();
+    await this._resolveBidsIfNeeded();
+    return this._response({ ok: true, bidStage: this.room.bidStage, revealDeadline: this.room.revealDeadline });
+  }
+
+  async _handleRevealBid(request) {
+    const body = await request.json();
+    const { playerId, amount, salt } = body;
+    if (this.room.phase !== 'BIDDING' || this.room.bidStage !== 'REVEAL') return this._response({ error: 'not_revealing' }, 400);
+    if (!playerId || typeof amount !== 'number' || typeof salt !== 'string') {
+      return this._response({ error: 'playerId_amount_and_salt_required' }, 400);
+    }
+
+    const bid = this.room.bids[playerId];
+    if (!bid?.commitment) return this._response({ error: 'no_commitment' }, 400);
+    if (typeof bid.amount === 'number') return this._response({ error: 'already_revealed' }, 400);
+
+    const now = this._now();
+    if (this.room.revealDeadline && now > this.room.revealDeadline) {
+      await this._resolveBidsIfNeeded();
+      return this._response({ error: 'reveal_closed' }, 400);
+    }
+
+    // A reveal that does not match the commitment, or an out-of-range amount,
+    // falls back to the same default as not bidding at all. Bids are for base
+    // time only; increment and delay apply to both sides.
+    let error = null;
+    if (await bidCommitment(amount, salt) !== bid.commitment) error = 'commitment_mismatch';
+    else if (typeof this.room.mainTimeMs === 'number' && (amount < 0 || amount > this.room.mainTimeMs)) error = 'invalid_bid_amount';
+
+    bid.amount = error ? this.room.mainTimeMs : amount;
+    bid.revealedAt = now;
+    if (error) bid.defaulted = error;
+    this.room.revealed = [...(this.room.revealed || []), playerId];
     await this._save();
     await this._resolveBidsIfNeeded();
+    if (error) return this._response({ error, defaultedTo: this.room.mainTimeMs }, 400);
     return this._response({ ok: true });
   }
 
+  _clearGame() {
+    this.room.winnerId = null;
+    this.room.loserId = null;
+    this.room.winningBidMs = null;
+    this.room.losingBidMs = null;
+    this.room.drawOddsSide = null;
+    this.room.result = null;
+    this.room.termination = null;
+    this.room.adjudication = null;
+    this.room.ratingChange = null;
+    this.room.choiceAttempts = 0;
+    this.room.currentPicker = null;
+    this.room.colorPickedBy = null;
+    this.room.colors = {};
+    this.room.clocks = null;
+    this.room.moves = [];
+    this.room.gameFen = null;
+    this.room.rematchWindowEnds = null;
+    this.room.rematchVotes = null;
+  }
+
+  _startBiddingPhase(now) {
+    this._clearGame();
+    this.room.phase = 'BIDDING';
+    this._resetBidding(now);
+  }
+
+  // Match settings from initRoom: `games` regular games (best of N) at the
+  // match's own control, then an Armageddon decider at the room's control if
+  // the score is level.
+  _createMatch(options, roomControl = null) {
+    const games = options.games;
+    if (!Number.isInteger(games) || games < 1 || games > 15) return null;
+    const control = options.timeControl || options.mainTimeMs ? resolveTimeControl(options) : roomControl || {
+      key: roomTimeControlKey(this.room), mainTimeMs: this.room.mainTimeMs, incrementMs: this.room.incrementMs || 0, delayMs: this.room.delayMs || 0
+    };
+    if (!control) return null;
+    return {
+      bestOf: games,
+      control,
+      breakMs: options.breakMs || 10000,
+      games: [],
+      score: {},
+      current: null,
+      nextGameAt: null,
+      status: 'IN_PROGRESS',
+      winnerId: null
+    };
+  }
+
+  _startMatchGame(now) {
+    const match = this.room.match;
+    const regularPlayed = match.games.filter(g => g.kind === 'regular').length;
+    match.nextGameAt = null;
+    for (const p of this.room.players) match.score[p.id] = match.score[p.id] || 0;
+
+    if (regularPlayed >= match.bestOf) {
+      match.current = 'armageddon';
+      this._startBiddingPhase(now);
+      return;
+    }
+
+    // Regular games alternate colors, starting with the first seat as white,
+    // and are played without bidding or draw odds.
+    match.current = 'regular';
+    this._clearGame();
+    this.room.bids = {};
+    this.room.bidStage = null;
+    this.room.committed = [];
+    this.room.revealed = [];
+    this.room.bidDeadline = null;
+    this.room.revealDeadline = null;
+    this.room.choiceDeadline = null;
+    const [first, second] = this.room.players.map(p => p.id);
+    const whiteId = regularPlayed % 2 === 0 ? first : second;
+    const blackId = whiteId === first ? second : first;
+    this.room.colors = { [whiteId]: 'white', [blackId]: 'black' };
+    this.room.clocks = {
+      whiteRemainingMs: match.control.mainTimeMs,
+      blackRemainingMs: match.control.mainTimeMs,
+      lastTickAt: now,
+      turn: 'white',
+      incrementMs: match.control.incrementMs || 0,
+      delayMs: match.control.delayMs || 0
+    };
+    this.room.gameId = `game-${crypto.randomUUID()}`;
+    this.room.gameStartedAt = now;
+    this.room.finishedAt = null;
+    this.room.phase = 'PLAYING';
+    this._recordGameStarted();
+  }
+
+  // Adds the game that just finished to the series and either decides the
+  // match or schedules the next game after the break.
+  _recordMatchGame(now) {
+    const match = this.room.match;
+    const colorOf = color => Object.keys(this.room.colors || {}).find(id => this.room.colors[id] === color) || null;
+    match.games.push({
+      number: match.games.length + 1,
+      kind: match.current,
+      gameId: this.room.gameId,
+      whiteId: colorOf('white'),
+      blackId: colorOf('black'),
+      result: this.room.result,
+      termination: this.room.termination,
+      adjudication: this.room.adjudication,
+      winnerId: this.room.winnerId
+    });
+    const ids = this.room.players.map(p => p.id);
+    for (const id of ids) match.score[id] = (match.score[id] || 0) + (this.room.winnerId ? (this.room.winnerId === id ? 1 : 0) : 0.5);
+
+    const [a, b] = ids;
+    const lead = match.score[a] - match.score[b];
+    const remaining = match.bestOf - match.games.filter(g => g.kind === 'regular').length;
+    let winnerId = null;
+    if (match.current === 'armageddon') winnerId = this.room.winnerId;
+    else if (Math.abs(lead) > remaining) winnerId = lead > 0 ? a : b;
+    match.current = null;
+
+    if (winnerId) {
+      match.status = 'DECIDED';
+      match.winnerId = winnerId;
+      return;
+    }
+    match.nextGameAt = now + match.breakMs;
+    this.room.rematchWindowEnds = null;
+  }
+
+  // Regular match games are played at the match's control; everything else
+  // at the room's.
+  _gameControl() {
+    if (this.room.match?.current === 'regular') return this.room.match.control;
+    return {
+      key: this.room.timeControl,
+      mainTimeMs: this.room.mainTimeMs,
+      incrementMs: this.room.incrementMs || 0,
+      delayMs: this.room.delayMs || 0
+    };
+  }
+
+  _resetBidding(now) {
+    this.room.bids = {};
+    this.room.bidStage = 'COMMIT';
+    this.room.bidDeadline = now + this.room.bidDurationMs;
+    this.room.revealDeadline = null;
+    this.room.committed = [];
+    this.room.revealed = [];
+  }
+
   async _resolveBidsIfNeeded() {
     if (this.room.phase !== 'BIDDING') return;
 
@@ -313,22 +1136,36 @@ export class GameRoom {
     const [p1, p2] = this.room.players.map(p => p.id);
     const bids = this.room.bids || {};
 
-    const b1 = bids[p1];
-    const b2 = bids[p2];
-    const deadlinePassed = this.room.bidDeadline && now > this.room.bidDeadline;
+    if (this.room.bidStage !== 'REVEAL') {
+      const allCommitted = !!(bids[p1] && bids[p2]);
+      const deadlinePassed = this.room.bidDeadline && now > this.room.bidDeadline;
+      if (!allCommitted && !deadlinePassed) return;
+
+      this.room.bidStage = 'REVEAL';
+      this.room.revealDeadline = now + this.room.revealDurationMs;
+      if (bids[p1] || bids[p2]) {
+        await this._save();
+        return;
+      }
+    }
+
+    const awaitingReveal = [p1, p2].some(pid => bids[pid] && typeof bids[pid].amount !== 'number');
+    const revealPassed = this.room.revealDeadline && now > this.room.revealDeadline;
+    if (awaitingReveal && !revealPassed) return;
 
-    if (!b1 || !b2) {
-      if (!deadlinePassed) return;
-      if (!b1) bids[p1] = { amount: this.room.mainTimeMs, submittedAt: now };
-      if (!b2) bids[p2] = { amount: this.room.mainTimeMs, submittedAt: now };
+    for (const pid of [p1, p2]) {
+      if (!bids[pid]) bids[pid] = { amount: this.room.mainTimeMs, submittedAt: now, defaulted: 'no_bid' };
+      else if (typeof bids[pid].amount !== 'number') {
+        bids[pid].amount = this.room.mainTimeMs;
+        bids[pid].defaulted = 'not_revealed';
+      }
     }
 
     const updatedB1 = bids[p1];
     const updatedB2 = bids[p2];
 
     if (updatedB1.amount === updatedB2.amount) {
-      this.room.bids = {};
-      this.room.bidDeadline = now + this.room.bidDurationMs;
+      this._resetBidding(now);
       await this._save();
       return;
     }
@@ -346,6 +1183,8 @@ export class GameRoom {
     }
 
     this.room.drawOddsSide = null;
+    this.room.bidStage = null;
+    this.room.revealDeadline = null;
     this.room.phase = 'COLOR_PICK';
     this.room.choiceAttempts = 0;
     this.room.currentPicker = 'winner';
@@ -378,13 +1217,20 @@ export class GameRoom {
       whiteRemainingMs: winnerColor === 'white' ? winnerMs : loserMs,
       blackRemainingMs: winnerColor === 'black' ? winnerMs : loserMs,
       lastTickAt: now,
-      turn: 'white'
+      turn: 'white',
+      incrementMs: this.room.incrementMs || 0,
+      delayMs: this.room.delayMs || 0
     };
     const blackPlayerId = Object.keys(this.room.colors).find(id => this.room.colors[id] === 'black') || null;
     this.room.drawOddsSide = blackPlayerId;
+    this.room.gameId = `game-${crypto.randomUUID()}`;
+    this.room.colorPickedBy = playerId;
+    this.room.gameStartedAt = now;
+    this.room.finishedAt = null;
     this.room.phase = 'PLAYING';
     await this._save();
     await this._indexUpdate();
+    this._recordGameStarted();
     return this._response({ ok: true, clocks: this.room.clocks });
   }
 
@@ -397,6 +1243,11 @@ export class GameRoom {
     if (this.room.choiceAttempts >= 4) {
       this.room.phase = 'FINISHED';
       this.room.winnerId = null;
+      // Nobody picked a color, so a match's armageddon decider forfeits the match.
+      if (this.room.match?.current === 'armageddon') {
+        Object.assign(this.room.match, { status: 'FORFEITED', winnerId: null, current: null, nextGameAt: null });
+      }
+      await this._reportTournamentResult('forfeit');
       await this._save();
       return;
     }
@@ -406,17 +1257,245 @@ export class GameRoom {
     await this._save();
   }
 
-  async _handleMakeMove(request) {
-    const body = await request.json();
-    const { playerId, move } = body;
+  // Every path that ends a game goes through here so the result, the
+  // underlying termination and any draw-odds adjudication stay consistent.
+  // A drawn result is awarded to drawOddsSide (Black) when the room plays
+  // with draw odds, unless `skipDrawOdds` is set for an explicit admin draw;
+  // `termination` still records why the game actually ended.
+  async _finishGame(now, { result, termination, winnerId = null, skipDrawOdds = false }) {
+    let adjudication = null;
+    if (result === 'draw' && !winnerId && !skipDrawOdds && this.room.drawOddsEnabled && this.room.drawOddsSide) {
+      winnerId = this.room.drawOddsSide;
+      adjudication = 'draw_odds';
+    }
 
-    if (this.room.phase !== 'PLAYING') return this._response({ error: 'not_playing' }, 400);
+    this.room.phase = 'FINISHED';
+    this.room.finishedAt = now;
+    this.room.result = result;
+    this.room.termination = termination;
+    this.room.adjudication = adjudication;
+    this.room.winnerId = winnerId;
+    if (this.room.clocks) this.room.clocks.frozenAt = now;
+    this.room.rematchWindowEnds = now + 30 * 1000;
+    this.room.rematchVotes = {};
+    this.room.ratingChange = null;
+    // Each of these reads the room before its first await.
+    const record = this._archiveRecord();
+    this.state.waitUntil(this._publishResult(record, this._recordResult(), this._reportTournamentResult()));
+    if (this.room.match) this._recordMatchGame(now);
+    this._log('info', 'game_finished', { gameId: this.room.gameId, result, termination, winnerId });
+    this._recordMetrics({ counters: [['games_finished_total', { termination }]] });
+  }
 
-    const playerColor = this.room.colors[playerId];
-    if (!playerColor) return this._response({ error: 'unknown_player_color' }, 400);
-    if (playerColor !== this.room.clocks.turn) return this._response({ error: 'not_your_turn' }, 400);
+  // `result` is left out for a played game. Rooms that close without one
+  // report 'forfeit': a win for winnerId, or a double forfeit when it is null.
+  async _reportTournamentResult(result = null) {
+    const tournament = this.room.tournament;
+    if (!tournament || !this.env?.TOURNAMENTS) return;
 
-    const now = this._now();
+    try {
+      const obj = this.env.TOURNAMENTS.get(this.env.TOURNAMENTS.idFromName(tournament.tournamentId));
+      await obj.fetch(new Request('https://do/report', {
+        method: 'POST',
+        body: JSON.stringify({
+          round: tournament.round,
+          board: tournament.board,
+          roomId: this.room.roomId,
+          winnerId: this.room.winnerId,
+          result
+        }),
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    } catch (e) {
+      this._log('error', 'tournament_report_failed', { error: e.message });
+    }
+  }
+
+  // The finished game as the archive stores it, taken when the game ends.
+  // ratingChange is filled in once the registry has rated the game.
+  _archiveRecord() {
+    const bids = this.room.bids || {};
+    return {
+      id: this.room.gameId,
+      roomId: this.room.roomId,
+      timeControl: this._gameControl().key,
+      mainTimeMs: this._gameControl().mainTimeMs,
+      incrementMs: this._gameControl().incrementMs,
+      delayMs: this._gameControl().delayMs,
+      matchGame: this.room.match ? { number: this.room.match.games.length + 1, kind: this.room.match.current } : null,
+      players: this.room.players
+        .filter(p => this.room.colors?.[p.id])
+        .map(p => ({ id: p.id, name: p.name, color: this.room.colors[p.id] })),
+      bids: Object.fromEntries(Object.entries(bids).map(([id, bid]) => [id, {
+        amount: typeof bid.amount === 'number' ? bid.amount : null,
+        defaulted: bid.defaulted || null
+      }])),
+      winningBidMs: this.room.winningBidMs ?? null,
+      colorPickedBy: this.room.colorPickedBy,
+      drawOddsSide: this.room.drawOddsSide,
+      moves: [...(this.room.moves || [])],
+      finalFen: this.room.gameFen || null,
+      result: this.room.result,
+      termination: this.room.termination,
+      adjudication: this.room.adjudication,
+      winnerId: this.room.winnerId,
+      ratingChange: null,
+      startedAt: this.room.gameStartedAt,
+      finishedAt: this.room.finishedAt
+    };
+  }
+
+  // Copies the finished game into the archive so it outlives the room.
+  async _archiveGame(record) {
+    if (!record.id || !this.env?.GAME_ARCHIVE) return;
+
+    try {
+      const archive = this.env.GAME_ARCHIVE.get(this.env.GAME_ARCHIVE.idFromName('archive'));
+      await archive.fetch(new Request('https://do/archive', {
+        method: 'POST',
+        body: JSON.stringify(record),
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    } catch (e) {
+      this._log('error', 'archive_write_failed', { gameId: record.id, error: e.message });
+    }
+  }
+
+  // Rates, archives and reports a finished game after the response has gone
+  // out, so a slow or failing registry, archive or tournament cannot hold up
+  // the move that ended it. The rating change reaches clients as an update.
+  async _publishResult(record, rated, reported) {
+    const ratingChange = await rated;
+    await Promise.all([this._archiveGame({ ...record, ratingChange }), reported]);
+    if (ratingChange && this.room.gameId === record.id) {
+      this.room.ratingChange = ratingChange;
+      await this._save();
+    }
+  }
+
+  // Every finished game goes into both players' history. Decisive and
+  // draw-odds results are also rated as a win and a loss for the room's time
+  // control. Returns the per-player rating change, or null.
+  async _recordResult() {
+    const seated = this.room.players.filter(p => this.room.colors?.[p.id]);
+    if (seated.length !== 2 || !this.env?.PLAYER_REGISTRY) return null;
+    const winnerId = this.room.winnerId;
+    const loserId = winnerId ? seated.find(p => p.id !== winnerId)?.id : null;
+    const bids = this.room.bids || {};
+
+    try {
+      const registryId = this.env.PLAYER_REGISTRY.idFromName('registry');
+      const registry = this.env.PLAYER_REGISTRY.get(registryId);
+      const res = await registry.fetch(new Request('https://do/recordResult', {
+        method: 'POST',
+        body: JSON.stringify({
+          gameId: this.room.gameId,
+          roomId: this.room.roomId,
+          timeControl: this._gameControl().key,
+          result: this.room.result,
+          termination: this.room.termination,
+          adjudication: this.room.adjudication,
+          winnerId,
+          loserId,
+          names: Object.fromEntries(this.room.players.map(p => [p.id, p.name])),
+          players: seated.map(p => ({
+            id: p.id,
+            color: this.room.colors[p.id],
+            bidMs: typeof bids[p.id]?.amount === 'number' ? bids[p.id].amount : null,
+            wonBid: typeof bids[p.id]?.amount === 'number' && bids[p.id].amount === this.room.winningBidMs,
+            pickedColor: this.room.colorPickedBy === p.id
+          })),
+          moveCount: (this.room.moves || []).length,
+          startedAt: this.room.gameStartedAt,
+          finishedAt: this.room.finishedAt
+        }),
+        headers: { 'Content-Type': 'application/json' }
+      }));
+      const data = await res.json();
+      return data.ratingChange || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  _canEverMate(game, colorLetter) {
+    const pieces = game.board().flat().filter(Boolean);
+    const nonKing = pieces.filter(p => p.color === colorLetter && p.type !== 'k');
+
+    const hasMajorOrPawn = nonKing.some(p =>
+      p.type === 'q' || p.type === 'r' || p.type === 'p'
+    );
+    const hasMultipleMinors = nonKing.length > 1;
+
+    return hasMajorOrPawn || hasMultipleMinors;
+  }
+
+  // Bronstein delay: the first delayMs of every move are not charged.
+  _clockDelayMs() {
+    return this.room.clocks?.delayMs ?? (this.room.delayMs || 0);
+  }
+
+  // Remaining time of `color` as of `now`, counting the running clock of the
+  // side to move.
+  _remainingMs(color, now) {
+    const clocks = this.room.clocks;
+    if (!clocks) return null;
+    const stored = color === 'white' ? clocks.whiteRemainingMs : clocks.blackRemainingMs;
+    if (clocks.frozenAt || clocks.turn !== color) return stored;
+    return stored - Math.max(0, now - (clocks.lastTickAt || now) - this._clockDelayMs());
+  }
+
+  // Ends the game when the side to move has run out of time. Returns true if
+  // the room changed.
+  async _resolveFlagIfNeeded(now) {
+    if (this.room.phase !== 'PLAYING' || !this.room.clocks) return false;
+    const turn = this.room.clocks.turn;
+    if (this._remainingMs(turn, now) > 0) return false;
+
+    if (turn === 'white') this.room.clocks.whiteRemainingMs = 0;
+    else this.room.clocks.blackRemainingMs = 0;
+
+    const game = new Chess(this.room.gameFen || undefined);
+    const opponentColorLetter = turn === 'white' ? 'b' : 'w';
+    if (!this._canEverMate(game, opponentColorLetter)) {
+      await this._finishGame(now, { result: 'draw', termination: 'timeout_but_opponent_cannot_mate' });
+      return true;
+    }
+
+    const winnerId = this.room.players.find(p => this.room.colors[p.id] && this.room.colors[p.id] !== turn)?.id || null;
+    await this._finishGame(now, { result: 'time_forfeit', termination: 'time_forfeit', winnerId });
+    return true;
+  }
+
+  _finishResponse(viewer) {
+    const alias = this._idAlias(viewer);
+    const body = {
+      ok: true,
+      result: this.room.result,
+      termination: this.room.termination,
+      winnerId: alias(this.room.winnerId),
+      adjudication: this.room.adjudication,
+      clocks: this.room.clocks,
+      moves: this.room.moves.map(m => ({ ...m, by: alias(m.by) })),
+      ratingChange: this._remapKeys(this.room.ratingChange, alias),
+      rematchWindowEnds: this.room.rematchWindowEnds
+    };
+    if (this.room.result === 'draw') body.reason = this.room.termination;
+    if (this.room.match) body.match = this._projectRoom(viewer).match;
+    return body;
+  }
+
+  async _handleMakeMove(request) {
+    const body = await request.json();
+    const { playerId, move } = body;
+
+    if (this.room.phase !== 'PLAYING') return this._response({ error: 'not_playing' }, 400);
+
+    const playerColor = this.room.colors[playerId];
+    if (!playerColor) return this._response({ error: 'unknown_player_color' }, 400);
+    if (playerColor !== this.room.clocks.turn) return this._response({ error: 'not_your_turn' }, 400);
+
+    const now = this._now();
 
     if (this.room.disconnectedPlayerId === playerId) {
       this.room.disconnectedPlayerId = null;
@@ -426,59 +1505,26 @@ export class GameRoom {
 
     const game = new Chess(this.room.gameFen || undefined);
 
+    // The mover's clock is only written once the move is known to be legal, so
+    // a rejected move costs nothing extra on the next check.
+    const remainingKey = playerColor === 'white' ? 'whiteRemainingMs' : 'blackRemainingMs';
     const elapsed = now - (this.room.clocks.lastTickAt || now);
-    if (playerColor === 'white') this.room.clocks.whiteRemainingMs -= elapsed;
-    else this.room.clocks.blackRemainingMs -= elapsed;
-
-    const whiteFlagged = this.room.clocks.whiteRemainingMs <= 0;
-    const blackFlagged = this.room.clocks.blackRemainingMs <= 0;
+    const remainingAfterMs = this.room.clocks[remainingKey] - Math.max(0, elapsed - this._clockDelayMs());
 
-    if ((playerColor === 'white' && whiteFlagged) || (playerColor === 'black' && blackFlagged)) {
+    if (remainingAfterMs <= 0) {
+      this.room.clocks[remainingKey] = remainingAfterMs;
       const opponentColorLetter = playerColor === 'white' ? 'b' : 'w';
 
-      const pieces = game.board().flat().filter(Boolean);
-      const opponentPieces = pieces.filter(p => p.color === opponentColorLetter);
-      const opponentNonKing = opponentPieces.filter(p => p.type !== 'k');
-
-      const hasMajorOrPawn = opponentNonKing.some(p =>
-        p.type === 'q' || p.type === 'r' || p.type === 'p'
-      );
-      const hasMultipleMinors = opponentNonKing.length > 1;
-
-      const canEverMate = hasMajorOrPawn || hasMultipleMinors;
-
-      if (!canEverMate) {
-        this.room.phase = 'FINISHED';
-        this.room.winnerId = null;
-        this.room.clocks.frozenAt = now;
-        this.room.rematchWindowEnds = this._now() + 30 * 1000;
-        this.room.rematchVotes = {};
+      if (!this._canEverMate(game, opponentColorLetter)) {
+        await this._finishGame(now, { result: 'draw', termination: 'timeout_but_opponent_cannot_mate' });
         await this._save();
-        return this._response({
-          ok: true,
-          result: 'draw',
-          reason: 'timeout_but_opponent_cannot_mate',
-          clocks: this.room.clocks,
-          moves: this.room.moves,
-          rematchWindowEnds: this.room.rematchWindowEnds
-        });
+        return this._response(this._finishResponse(this._viewerFor(playerId, request)));
       }
 
       const winnerId = this.room.players.find(p => this.room.colors[p.id] !== playerColor)?.id || null;
-      this.room.phase = 'FINISHED';
-      this.room.winnerId = winnerId;
-      this.room.clocks.frozenAt = now; 
-      this.room.rematchWindowEnds = this._now() + 30 * 1000;
-      this.room.rematchVotes = {};
+      await this._finishGame(now, { result: 'time_forfeit', termination: 'time_forfeit', winnerId });
       await this._save();
-      return this._response({
-        ok: true,
-        result: 'time_forfeit',
-        winnerId,
-        clocks: this.room.clocks,
-        moves: this.room.moves,
-        rematchWindowEnds: this.room.rematchWindowEnds
-      });
+      return this._response(this._finishResponse(this._viewerFor(playerId, request)));
     }
 
     if (typeof move !== 'string' || move.length < 4) return this._response({ error: 'invalid_move_format' }, 400);
@@ -486,111 +1532,70 @@ export class GameRoom {
     const to = move.slice(2, 4);
     const promotion = move.length >= 5 ? move[4] : undefined;
 
-    const moved = game.move({ from, to, promotion });
+    // chess.js throws on an illegal move rather than returning null.
+    let moved = null;
+    try {
+      moved = game.move({ from, to, promotion });
+    } catch (e) {}
     if (!moved) return this._response({ error: 'illegal_move' }, 400);
 
+    // The delay was already left uncharged above; Fischer increment is added
+    // on top once the move is made.
+    const { incrementMs = this.room.incrementMs || 0 } = this.room.clocks;
+    this.room.clocks[remainingKey] = remainingAfterMs + incrementMs;
+
     this.room.gameFen = game.fen();
-    this.room.moves.push({ by: playerId, move, at: now });
+    const remainingMs = this.room.clocks[remainingKey];
+    this.room.moves.push({ by: playerId, move, at: now, remainingMs });
     this.room.clocks.lastTickAt = now;
     this.room.clocks.turn = this.room.clocks.turn === 'white' ? 'black' : 'white';
 
     if (game.isCheckmate()) {
-      this.room.phase = 'FINISHED';
-      this.room.winnerId = playerId;
-      this.room.clocks.frozenAt = now;  
-      this.room.rematchWindowEnds = this._now() + 30 * 1000;
-      this.room.rematchVotes = {};
+      await this._finishGame(now, { result: 'checkmate', termination: 'checkmate', winnerId: playerId });
       await this._save();
-      return this._response({
-        ok: true,
-        result: 'checkmate',
-        winnerId: playerId,
-        clocks: this.room.clocks,
-        moves: this.room.moves,
-        rematchWindowEnds: this.room.rematchWindowEnds
-      });
+      return this._response(this._finishResponse(this._viewerFor(playerId, request)));
     }
 
     let drawReason = null;
     if (game.isStalemate()) drawReason = 'stalemate';
     else if (game.isInsufficientMaterial()) drawReason = 'insufficient_material';
     else if (game.isThreefoldRepetition()) drawReason = 'threefold_repetition';
-    else if (game.isDraw()) drawReason = 'draw'; // This includes fifty-move rule
+    else if (game.isDrawByFiftyMoves()) drawReason = 'fifty_move_rule';
+    else if (game.isDraw()) drawReason = 'draw';
 
     if (drawReason) {
-      this.room.phase = 'FINISHED';
-      this.room.winnerId = null;
-      this.room.clocks.frozenAt = now;
-      this.room.rematchWindowEnds = this._now() + 30 * 1000;
-      this.room.rematchVotes = {};
+      await this._finishGame(now, { result: 'draw', termination: drawReason });
       await this._save();
-      return this._response({
-        ok: true,
-        result: 'draw',
-        reason: drawReason,
-        clocks: this.room.clocks,
-        moves: this.room.moves,
-        rematchWindowEnds: this.room.rematchWindowEnds
-      });
+      return this._response(this._finishResponse(this._viewerFor(playerId, request)));
     }
 
     await this._save();
     await this._indexUpdate();
-    return this._response({ ok: true, clocks: this.room.clocks, moves: this.room.moves });
+    const alias = this._idAlias(this._viewerFor(playerId, request));
+    return this._response({ ok: true, clocks: this.room.clocks, moves: this.room.moves.map(m => ({ ...m, by: alias(m.by) })) });
   }
 
+  // Flag claim: the clock is recomputed server-side from clocks.lastTickAt, so
+  // the claimed side must actually be out of time.
   async _handleTimeForfeit(request) {
     const body = await request.json().catch(() => ({}));
-    const { timedOutPlayerId } = body;
+    // The opponent is normally named by seat alias, as the caller sees them.
+    const { timedOutPlayerId, playerId } = body;
 
     if (this.room.phase !== 'PLAYING') return this._response({ error: 'invalid_phase' }, 400);
     if (!timedOutPlayerId) return this._response({ error: 'timedOutPlayerId_required' }, 400);
 
-    const game = new Chess(this.room.gameFen || undefined);
-
-    const opponent = this.room.players.find(p => p.id !== timedOutPlayerId) || null;
-    const opponentId = opponent ? opponent.id : null;
-    const opponentColor = opponentId && this.room.colors ? this.room.colors[opponentId] : null;
-    const opponentColorLetter = opponentColor === 'white' ? 'w' : (opponentColor === 'black' ? 'b' : null);
-
-    let result = 'time_forfeit';
-    let reason = null;
-    let winnerId = opponentId;
-
-    if (opponentColorLetter) {
-      const pieces = game.board().flat().filter(Boolean);
-      const opponentPieces = pieces.filter(p => p.color === opponentColorLetter);
-      const opponentNonKing = opponentPieces.filter(p => p.type !== 'k');
-
-      const hasMajorOrPawn = opponentNonKing.some(p =>
-        p.type === 'q' || p.type === 'r' || p.type === 'p'
-      );
-      const hasMultipleMinors = opponentNonKing.length > 1;
-
-      const canEverMate = hasMajorOrPawn || hasMultipleMinors;
+    const timedOutColor = this.room.colors[this._resolveSeatAlias(timedOutPlayerId)];
+    if (!timedOutColor) return this._response({ error: 'unknown_player_color' }, 400);
 
-      if (!canEverMate) {
-        result = 'draw';
-        reason = 'timeout_but_opponent_cannot_mate';
-        winnerId = null;
-      }
+    const now = this._now();
+    const remainingMs = this._remainingMs(timedOutColor, now);
+    if (remainingMs > 0 || !(await this._resolveFlagIfNeeded(now))) {
+      return this._response({ error: 'flag_not_fallen', remainingMs: Math.max(0, remainingMs) }, 400);
     }
 
-    this.room.phase = 'FINISHED';
-    this.room.winnerId = winnerId;
-    this.room.rematchWindowEnds = this._now() + 30 * 1000;
-    this.room.rematchVotes = {};
     await this._save();
-
-    const responseBody = {
-      ok: true,
-      result,
-      winnerId,
-      rematchWindowEnds: this.room.rematchWindowEnds
-    };
-    if (reason) responseBody.reason = reason;
-
-    return this._response(responseBody);
+    return this._response(this._finishResponse(this._viewerFor(playerId, request)));
   }
 
   async _handleResign(request) {
@@ -610,51 +1615,31 @@ export class GameRoom {
     const opponentId = this.room.players?.find(p => p.id !== playerId)?.id || null;
     
     // Set game to finished state
-    this.room.phase = 'FINISHED';
-    this.room.winnerId = opponentId;
-    this.room.result = 'resignation';
-    this.room.clocks.frozenAt = now;
-    this.room.rematchWindowEnds = this._now() + 30 * 1000;
-    this.room.rematchVotes = {};
+    await this._finishGame(now, { result: 'resignation', termination: 'resignation', winnerId: opponentId });
     
     await this._save();
     await this._indexUpdate();
     
-    return this._response({
-      ok: true,
-      result: 'resignation',
-      winnerId: opponentId,
-      clocks: this.room.clocks,
-      moves: this.room.moves,
-      rematchWindowEnds: this.room.rematchWindowEnds
-    });
+    return this._response(this._finishResponse(this._viewerFor(playerId, request)));
   }
 
-  async _handleGetState() {
-    const now = this._now();
+  // Resolves every deadline that has passed as of `now`. Called lazily from
+  // _handleGetState and from alarm(), so rooms progress even when nobody polls.
+  async _runDeadlines(now) {
     let saveNeeded = false;
 
+    const flushes = this.room.spectatorFlushAt || [];
+    if (flushes.some(at => at <= now)) {
+      this.room.spectatorFlushAt = flushes.filter(at => at > now);
+      this._broadcastUpdate({ delayedSpectators: true });
+    }
+
     await this._resolveBidsIfNeeded();
     await this._resolveChoiceIfNeeded();
-
-    if (this.room.updatedAt && (now - this.room.updatedAt) > 5 * 60 * 1000) {
-      try {
-        if (this.env?.ROOM_INDEX) {
-          const indexId = this.env.ROOM_INDEX.idFromName('index');
-          const obj = this.env.ROOM_INDEX.get(indexId);
-          await obj.fetch(new Request('https://do/remove', {
-            method: 'POST',
-            body: JSON.stringify({ roomId: this.room.roomId }),
-            headers: { 'Content-Type': 'application/json' }
-          }));
-        }
-      } catch (e) {}
-      await this.state.storage.delete('room');
-      return this._response({ error: 'room_expired' }, 410);
-    }
+    if (await this._resolveFlagIfNeeded(now)) saveNeeded = true;
 
     if (this.room.phase === 'PLAYING') {
-      if (!this.room.disconnectedPlayerId && (now - (this.room.updatedAt || 0)) > 10000) {
+      if (!this.room.disconnectedPlayerId && (now - (this.room.updatedAt || 0)) > INACTIVITY_MS) {
         const activePlayerId = Object.keys(this.room.colors || {}).find(id => 
           this.room.colors[id] === this.room.clocks.turn
         );
@@ -670,14 +1655,18 @@ export class GameRoom {
           (now - this.room.disconnectStart) > this.room.disconnectTimeoutMs) {
         const winnerId = this.room.disconnectedPlayerId === Object.keys(this.room.colors || {})[0] ? 
           Object.keys(this.room.colors || {})[1] : Object.keys(this.room.colors || {})[0];
-        this.room.phase = 'FINISHED';
-        this.room.winnerId = winnerId;
+        await this._finishGame(now, { result: 'disconnect_forfeit', termination: 'disconnect_forfeit', winnerId });
         this.room.closeReason = 'disconnect_forfeit';
         saveNeeded = true;
       }
     }
 
     if (!this.room.closed && this.room.startConfirmDeadline && now > this.room.startConfirmDeadline) {
+      // A tournament board goes to the player who asked to start.
+      if (this.room.tournament) {
+        this.room.winnerId = this.room.startRequestedBy;
+        await this._reportTournamentResult('forfeit');
+      }
       this.room.startRequestedBy = null;
       this.room.startConfirmDeadline = null;
       this.room.closed = true;
@@ -687,22 +1676,17 @@ export class GameRoom {
     }
 
     if (this.room.closed && this.room.closeReason === 'start_expired' && this.room.closedAt && (now - this.room.closedAt) > 10 * 60 * 1000) {
-      try {
-        if (this.env?.ROOM_INDEX) {
-          const indexId = this.env.ROOM_INDEX.idFromName('index');
-          const obj = this.env.ROOM_INDEX.get(indexId);
-          await obj.fetch(new Request('https://do/remove', {
-            method: 'POST',
-            body: JSON.stringify({ roomId: this.room.roomId }),
-            headers: { 'Content-Type': 'application/json' }
-          }));
-        }
-      } catch (e) {}
+      await this._indexRemove();
       this.room.removedAt = now;
       saveNeeded = true;
     }
 
-    if (this.room.phase === 'FINISHED' && this.room.rematchWindowEnds && now > this.room.rematchWindowEnds) {
+    if (this.room.phase === 'FINISHED' && !this.room.closed && this.room.match?.nextGameAt && now >= this.room.match.nextGameAt) {
+      this._startMatchGame(now);
+      saveNeeded = true;
+    }
+
+    if (this.room.phase === 'FINISHED' && !this.room.closed && this.room.rematchWindowEnds && now > this.room.rematchWindowEnds) {
       const players = (this.room.players || []).map(p => p.id);
       const votes = this.room.rematchVotes || {};
       const bothAgreed = players.length > 0 && players.every(pid => votes[pid] === true);
@@ -710,17 +1694,7 @@ export class GameRoom {
       const yesVotes = players.filter(pid => votes[pid] === true);
       
       if (!bothAgreed) {
-        try {
-          if (this.env?.ROOM_INDEX) {
-            const indexId = this.env.ROOM_INDEX.idFromName('index');
-            const obj = this.env.ROOM_INDEX.get(indexId);
-            await obj.fetch(new Request('https://do/remove', {
-              method: 'POST',
-              body: JSON.stringify({ roomId: this.room.roomId }),
-              headers: { 'Content-Type': 'application/json' }
-            }));
-          }
-        } catch (e) {}
+        await this._indexRemove();
         
         // Auto-requeue yes voters into new game with same time control
         if (yesVotes.length > 0) {
@@ -737,6 +1711,7 @@ export class GameRoom {
                     maxPlayers: 2,
                     private: false,
                     mainTimeMs: this.room.mainTimeMs,
+                    timeControl: this.room.timeControl,
                     players: this.room.players,
                     updatedAt: now
                   }),
@@ -754,9 +1729,28 @@ export class GameRoom {
       }
     }
 
+    return saveNeeded;
+  }
+
+  async _handleGetState(request) {
+    const now = this._now();
+    const url = new URL(request.url);
+    const viewer = this._viewerFor(url.searchParams.get('playerId'), request);
+    if (viewer.role === 'spectator' && !this._canSpectate(url)) {
+      return this._response({ error: 'share_token_required' }, 403);
+    }
+
+    if (this.room.updatedAt && (now - this.room.updatedAt) > 5 * 60 * 1000) {
+      await this._indexRemove();
+      await this.state.storage.deleteAlarm();
+      await this.state.storage.delete('room');
+      return this._response({ error: 'room_expired' }, 410);
+    }
+
+    const saveNeeded = await this._runDeadlines(now);
     if (saveNeeded) await this._save();
 
-    return this._response({ ok: true, room: this.room });
+    return this._response({ ok: true, room: this._projectRoom(viewer) });
   }
   
   async _handleRematch(request) {
@@ -764,6 +1758,8 @@ export class GameRoom {
     const { playerId, agree } = body;
     if (!playerId) return this._response({ error: 'playerId_required' }, 400);
     if (this.room.phase !== 'FINISHED') return this._response({ error: 'not_finished' }, 400);
+    if (this.room.tournament) return this._response({ error: 'tournament_game' }, 400);
+    if (this.room.match?.status === 'IN_PROGRESS') return this._response({ error: 'match_in_progress' }, 400);
     if (!this.room.rematchWindowEnds || this._now() > this.room.rematchWindowEnds) return this._response({ error: 'rematch_window_closed' }, 400);
 
     this.room.rematchVotes = this.room.rematchVotes || {};
@@ -782,13 +1778,21 @@ export class GameRoom {
     if (allAgreed) {
       this.room.phase = 'LOBBY';
       this.room.bids = {};
+      this.room.bidStage = null;
+      this.room.committed = [];
+      this.room.revealed = [];
       this.room.bidDeadline = null;
+      this.room.revealDeadline = null;
       this.room.choiceDeadline = null;
       this.room.winnerId = null;
       this.room.loserId = null;
       this.room.winningBidMs = null;
       this.room.losingBidMs = null;
       this.room.drawOddsSide = null;
+      this.room.result = null;
+      this.room.termination = null;
+      this.room.adjudication = null;
+      this.room.ratingChange = null;
       this.room.colors = {};
       this.room.clocks = null;
       this.room.moves = [];
@@ -797,24 +1801,17 @@ export class GameRoom {
       this.room.startRequestedBy = null; // Clear this to allow fresh start
       this.room.rematchWindowEnds = null;
       this.room.rematchVotes = null;
+      if (this.room.match) {
+        this.room.match = this._createMatch({ games: this.room.match.bestOf, ...this.room.match.control, timeControl: this.room.match.control.key, breakMs: this.room.match.breakMs });
+      }
       await this._save();
-      return this._response({ ok: true, rematchStarted: true, room: this.room });
+      return this._response({ ok: true, rematchStarted: true, room: this._projectRoom(this._viewerFor(playerId, request)) });
     }
 
     const anyNo = players.some(pid => this.room.rematchVotes[pid] === false);
     if (anyNo) {
       // Immediate closure on "No" vote - no waiting period
-      try {
-        if (this.env?.ROOM_INDEX) {
-          const indexId = this.env.ROOM_INDEX.idFromName('index');
-          const obj = this.env.ROOM_INDEX.get(indexId);
-          await obj.fetch(new Request('https://do/remove', {
-            method: 'POST',
-            body: JSON.stringify({ roomId: this.room.roomId }),
-            headers: { 'Content-Type': 'application/json' }
-          }));
-        }
-      } catch (e) {}
+      await this._indexRemove();
       
       // Auto-requeue yes voters into queue system
       const yesVotes = players.filter(pid => this.room.rematchVotes[pid] === true);
@@ -833,14 +1830,14 @@ export class GameRoom {
                   body: JSON.stringify({
                     playerId: yesVoterId,
                     name: yesPlayer.name,
-                    mainTimeMs: this.room.mainTimeMs
+                    timeControl: this.room.timeControl
                   }),
                   headers: { 'Content-Type': 'application/json' }
                 }));
               }
             }
           } catch (e) {
-            console.error('Failed to requeue yes voter:', e);
+            this._log('error', 'rematch_requeue_failed', { playerId: yesVoterId, error: e.message });
           }
         }
       }
@@ -849,16 +1846,16 @@ export class GameRoom {
       this.room.closeReason = 'declined_rematch';
       this.room.closedAt = this._now();
       await this._save();
-      return this._response({ ok: true, rematchStarted: false, voteResult: 'no_vote', votes: this.room.rematchVotes });
+      return this._response({ ok: true, rematchStarted: false, voteResult: 'no_vote', votes: this._remapKeys(this.room.rematchVotes, this._idAlias(this._viewerFor(playerId, request))) });
     }
 
     const yesVotes = players.filter(pid => this.room.rematchVotes[pid] === true);
     
     if (yesVotes.length === 1) {
-      return this._response({ ok: true, rematchStarted: false, voteResult: 'waiting_for_opponent', votes: this.room.rematchVotes });
+      return this._response({ ok: true, rematchStarted: false, voteResult: 'waiting_for_opponent', votes: this._remapKeys(this.room.rematchVotes, this._idAlias(this._viewerFor(playerId, request))) });
     }
 
-    return this._response({ ok: true, rematchStarted: false, votes: this.room.rematchVotes });
+    return this._response({ ok: true, rematchStarted: false, votes: this._remapKeys(this.room.rematchVotes, this._idAlias(this._viewerFor(playerId, request))) });
   }
 
     async _handleLeave(request) {
@@ -870,11 +1867,11 @@ export class GameRoom {
       this.room.players = (this.room.players || []).filter(p => p.id !== playerId);
 
       if (this.room.players.length === beforeCount) {
-        return this._response({ ok: true, room: this.room });
+        return this._response({ ok: true, room: this._projectRoom(this._viewerFor(playerId, request)) });
       }
 
       await this._save();
-      return this._response({ ok: true, room: this.room });
+      return this._response({ ok: true, room: this._projectRoom(this._viewerFor(playerId, request)) });
     }
 
     async _handleHeartbeat(request) {
@@ -885,6 +1882,79 @@ export class GameRoom {
       return this._response({ ok: true });
     }
 
+  // Admin decision on a game in progress: winnerId names the winner, or is
+  // omitted for a draw. Recorded, rated and archived like any other result.
+  async _handleAdminFinish(request) {
+    const body = await request.json().catch(() => ({}));
+    if (typeof body.reason !== 'string' || !body.reason.trim()) return this._response({ error: 'reason_required' }, 400);
+    if (this.room.phase !== 'PLAYING') return this._response({ error: 'not_in_playing_phase' }, 400);
+    const winnerId = body.winnerId || null;
+    if (winnerId && !this.room.colors?.[winnerId]) return this._response({ error: 'player_not_in_game' }, 400);
+
+    const now = this._now();
+    this.room.adminAction = { action: 'finish', reason: body.reason.trim(), at: now };
+    await this._finishGame(now, { result: winnerId ? 'admin_decision' : 'draw', termination: 'admin_finish', winnerId, skipDrawOdds: true });
+    await this._save();
+    return this._response(this._finishResponse(this._viewerFor(null, request)));
+  }
+
+  // Ends the room without a result: nothing is rated or archived and no
+  // rematch is offered. A match stops there; a tournament board is reported
+  // as a double forfeit so its round can finish.
+  async _handleAdminAbort(request) {
+    const body = await request.json().catch(() => ({}));
+    if (typeof body.reason !== 'string' || !body.reason.trim()) return this._response({ error: 'reason_required' }, 400);
+    if (!this.room.roomId) return this._response({ error: 'room_not_found' }, 404);
+    if (this.room.phase === 'FINISHED') return this._response({ error: 'already_finished' }, 400);
+
+    const now = this._now();
+    const wasPlaying = this.room.phase === 'PLAYING';
+    this.room.adminAction = { action: 'abort', reason: body.reason.trim(), at: now };
+    this.room.phase = 'FINISHED';
+    this.room.finishedAt = now;
+    this.room.result = 'aborted';
+    this.room.termination = 'admin_abort';
+    this.room.adjudication = null;
+    this.room.winnerId = null;
+    if (this.room.clocks) this.room.clocks.frozenAt = now;
+    this.room.rematchWindowEnds = null;
+    this.room.rematchVotes = {};
+    this.room.startRequestedBy = null;
+    this.room.startConfirmDeadline = null;
+    if (this.room.match) {
+      this.room.match.status = 'ABORTED';
+      this.room.match.nextGameAt = null;
+    }
+    await this._reportTournamentResult('forfeit');
+    await this._save();
+    this._log('info', 'room_aborted', { reason: this.room.adminAction.reason });
+    if (wasPlaying) this._recordMetrics({ counters: [['games_finished_total', { termination: 'admin_abort' }]] });
+    return this._response({ ok: true, room: this._projectRoom(this._viewerFor(null, request)) });
+  }
+
+  // Removes a player from the lobby and keeps them from rejoining.
+  async _handleAdminKick(request) {
+    const body = await request.json().catch(() => ({}));
+    const { targetPlayerId } = body;
+    if (!targetPlayerId) return this._response({ error: 'targetPlayerId_required' }, 400);
+    if (this.room.phase !== 'LOBBY') return this._response({ error: 'not_in_lobby' }, 400);
+    if (!this.room.players.some(p => p.id === targetPlayerId)) return this._response({ error: 'player_not_in_room' }, 404);
+
+    this.room.players = this.room.players.filter(p => p.id !== targetPlayerId);
+    this.room.kickedPlayerIds = [...new Set([...(this.room.kickedPlayerIds || []), targetPlayerId])];
+    this.room.startRequestedBy = null;
+    this.room.startConfirmDeadline = null;
+    for (const ws of this.state.getWebSockets('player')) {
+      if (ws.deserializeAttachment()?.playerId !== targetPlayerId) continue;
+      try {
+        ws.send(JSON.stringify({ type: 'kicked', reason: body.reason || null }));
+        ws.close(4003, 'kicked');
+      } catch (e) {}
+    }
+    await this._save();
+    return this._response({ ok: true, room: this._projectRoom(this._viewerFor(null, request)) });
+  }
+
 
 
 
@@ -894,7 +1964,7 @@ export class RoomIndex {
   constructor(state, env) {
     this.state = state;
     this.env = env;
-    this._sockets = new Set();
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
   }
 
   async _getAll() {
@@ -909,13 +1979,11 @@ export class RoomIndex {
   _handleWebSocket(request) {
     const webSocketPair = new WebSocketPair();
     const [client, server] = Object.values(webSocketPair);
+    const playerId = new URL(request.url).searchParams.get('playerId');
 
-    server.accept();
-    this._sockets.add(server);
-
-    server.addEventListener('close', () => {
-      try { this._sockets.delete(server); } catch (e) {}
-    });
+    // Sockets opened with ?playerId= also receive that player's challenges.
+    this.state.acceptWebSocket(server, playerId ? [`player:${playerId}`] : []);
+    server.serializeAttachment({ connectedAt: Date.now(), playerId });
 
     // Send initial queue status
     this._broadcastQueueStatus();
@@ -928,13 +1996,266 @@ export class RoomIndex {
       type: 'queue_update',
       timestamp: Date.now()
     });
-    for (const ws of this._sockets) {
+    for (const ws of this.state.getWebSockets()) {
       try {
         if (ws && ws.readyState === 1) ws.send(msg);
       } catch (e) {}
     }
   }
 
+  // Queue watchers only listen; a `status` message asks for a fresh update.
+  async webSocketMessage(ws, message) {
+    const checked = validateSocketMessage('lobby', message);
+    if (checked.error) {
+      ws.send(JSON.stringify({ type: 'error', id: checked.id, status: 400, error: checked.error, fields: checked.fields }));
+      return;
+    }
+    ws.send(JSON.stringify({ type: 'queue_update', timestamp: Date.now() }));
+  }
+
+  async webSocketClose(ws, code, reason) {
+    try { ws.close(code, reason); } catch (e) {}
+  }
+
+  _json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  _notifyPlayers(playerIds, message) {
+    const msg = JSON.stringify(message);
+    for (const playerId of new Set(playerIds)) {
+      for (const ws of this.state.getWebSockets(`player:${playerId}`)) {
+        try { ws.send(msg); } catch (e) {}
+      }
+    }
+  }
+
+  // Pending challenges live under one key; answered, cancelled and expired
+  // ones are dropped once both players have been told.
+  async _getChallenges() {
+    return (await this.state.storage.get('challenges')) || {};
+  }
+
+  async _saveChallenges(challenges) {
+    await this.state.storage.put('challenges', challenges);
+    const expiries = Object.values(challenges).map(c => c.expiresAt);
+    if (expiries.length) await this.state.storage.setAlarm(Math.min(...expiries));
+    else await this.state.storage.deleteAlarm();
+  }
+
+  _closeChallenge(challenges, challenge, status, extra = {}) {
+    delete challenges[challenge.challengeId];
+    const closed = { ...challenge, status, closedAt: Date.now(), ...extra };
+    this._notifyPlayers([challenge.fromId, challenge.toId], { type: 'challenge', event: status, challenge: closed });
+    return closed;
+  }
+
+  _expireChallenges(challenges, now) {
+    let changed = false;
+    for (const challenge of Object.values(challenges)) {
+      if (challenge.expiresAt <= now) {
+        this._closeChallenge(challenges, challenge, 'expired');
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  async alarm() {
+    const challenges = await this._getChallenges();
+    this._expireChallenges(challenges, Date.now());
+    await this._saveChallenges(challenges);
+  }
+
+  _openChallenge(challenges, from, toId, terms, counterOf = null) {
+    const now = Date.now();
+    const challenge = {
+      challengeId: `challenge-${crypto.randomUUID()}`,
+      fromId: from.playerId,
+      fromName: from.name || null,
+      toId,
+      ...terms,
+      counterOf,
+      status: 'pending',
+      createdAt: now,
+      expiresAt: now + CHALLENGES.ttlMs
+    };
+    challenges[challenge.challengeId] = challenge;
+    this._notifyPlayers([challenge.toId, challenge.fromId], { type: 'challenge', event: 'received', challenge });
+    return challenge;
+  }
+
+  async _createChallengeRoom(challenge, acceptorName) {
+    const roomId = `room-${crypto.randomUUID()}`;
+    const room = this.env.GAME_ROOMS.get(this.env.GAME_ROOMS.idFromName(roomId));
+    const res = await room.fetch(new Request('https://do/initRoom', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        roomId,
+        private: true,
+        timeControl: challenge.timeControl,
+        bidDurationMs: challenge.bidDurationMs,
+        choiceDurationMs: challenge.choiceDurationMs,
+        queuedPlayers: [
+          { playerId: challenge.fromId, name: challenge.fromName },
+          { playerId: challenge.toId, name: acceptorName || null }
+        ]
+      })
+    }));
+    const data = await res.json().catch(() => ({}));
+    return data.ok ? data : null;
+  }
+
+  async _handleChallenge(request, url) {
+    const now = Date.now();
+    const challenges = await this._getChallenges();
+    if (this._expireChallenges(challenges, now)) await this._saveChallenges(challenges);
+
+    if (request.method === 'GET' && url.pathname === '/challenges') {
+      const playerId = url.searchParams.get('playerId');
+      if (!playerId) return this._json({ error: 'playerId_required' }, 400);
+      const pending = Object.values(challenges);
+      return this._json({
+        ok: true,
+        incoming: pending.filter(c => c.toId === playerId),
+        outgoing: pending.filter(c => c.fromId === playerId)
+      });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    const { playerId } = body;
+    if (!playerId) return this._json({ error: 'playerId_required' }, 400);
+
+    if (url.pathname === '/challenges/create') {
+      const { toPlayerId } = body;
+      if (!toPlayerId) return this._json({ error: 'toPlayerId_required' }, 400);
+      if (toPlayerId === playerId) return this._json({ error: 'cannot_challenge_self' }, 400);
+      const terms = challengeTerms(body);
+      if (terms.error) return this._json(terms, 400);
+      if (Object.values(challenges).some(c => c.fromId === playerId && c.toId === toPlayerId)) {
+        return this._json({ error: 'challenge_already_pending' }, 409);
+      }
+      const challenge = this._openChallenge(challenges, { playerId, name: body.name }, toPlayerId, terms);
+      await this._saveChallenges(challenges);
+      return this._json({ ok: true, challenge });
+    }
+
+    const challenge = challenges[body.challengeId];
+    if (!challenge) return this._json({ error: 'challenge_not_found' }, 404);
+    if (challenge.status === 'accepting') return this._json({ error: 'challenge_being_accepted' }, 409);
+
+    if (url.pathname === '/challenges/cancel') {
+      if (challenge.fromId !== playerId) return this._json({ error: 'not_challenger' }, 403);
+      const closed = this._closeChallenge(challenges, challenge, 'cancelled');
+      await this._saveChallenges(challenges);
+      return this._json({ ok: true, challenge: closed });
+    }
+
+    if (challenge.toId !== playerId) return this._json({ error: 'not_challenged_player' }, 403);
+
+    if (url.pathname === '/challenges/decline') {
+      const closed = this._closeChallenge(challenges, challenge, 'declined');
+      await this._saveChallenges(challenges);
+      return this._json({ ok: true, challenge: closed });
+    }
+
+    if (url.pathname === '/challenges/counter') {
+      const terms = challengeTerms({ ...challenge, ...body });
+      if (terms.error) return this._json(terms, 400);
+      const counter = this._openChallenge(challenges, { playerId, name: body.name }, challenge.fromId, terms, challenge.challengeId);
+      const closed = this._closeChallenge(challenges, challenge, 'countered', { counterId: counter.challengeId });
+      await this._saveChallenges(challenges);
+      return this._json({ ok: true, challenge: closed, counter });
+    }
+
+    // Creating the room calls back into this object, so the challenge is
+    // claimed before that and the list is read again afterwards. It is kept
+    // from expiring while the room is being made.
+    if (url.pathname === '/challenges/accept') {
+      challenge.status = 'accepting';
+      challenge.expiresAt = Math.max(challenge.expiresAt, now + CHALLENGES.acceptTimeoutMs);
+      await this._saveChallenges(challenges);
+
+      const room = await this._createChallengeRoom(challenge, body.name);
+      const latest = await this._getChallenges();
+      const claimed = latest[challenge.challengeId] || challenge;
+      if (!room) {
+        if (latest[challenge.challengeId]) {
+          claimed.status = 'pending';
+          await this._saveChallenges(latest);
+        }
+        return this._json({ error: 'room_creation_failed' }, 500);
+      }
+      const closed = this._closeChallenge(latest, claimed, 'accepted', { roomId: room.roomId });
+      await this._saveChallenges(latest);
+      return this._json({ ok: true, challenge: closed, roomId: room.roomId, shareToken: room.shareToken });
+    }
+
+    return this._json({ error: 'not_found' }, 404);
+  }
+
+  // Skill for each of the player's queue entries, keyed by time control: the
+  // stored rating, otherwise the skill the client supplied, otherwise the
+  // Glicko-2 default. A supplied skill never overrides a stored rating.
+  // Callers look skills up before reading the queues, since the registry
+  // fetch lets other requests in.
+  async _lookupSkills(playerId, timeKeys, supplied = null) {
+    let ratings = {};
+    try {
+      if (this.env?.PLAYER_REGISTRY) {
+        const registryId = this.env.PLAYER_REGISTRY.idFromName('registry');
+        const registry = this.env.PLAYER_REGISTRY.get(registryId);
+        const res = await registry.fetch(new Request(`https://do/player?id=${encodeURIComponent(playerId)}`));
+        ratings = (await res.json()).ratings || {};
+      }
+    } catch (e) {}
+    return Object.fromEntries(timeKeys.map(timeKey => {
+      const rating = ratings[timeKey]?.rating;
+      if (typeof rating === 'number') return [timeKey, rating];
+      return [timeKey, validSkill(supplied) ? supplied : GLICKO_DEFAULTS.rating];
+    }));
+  }
+
+  // Longest-waiting players are served first: each is paired with the
+  // closest opponent inside the wider of the two players' skill windows.
+  _findPairing(queue, now) {
+    for (const player of queue) {
+      let best = null;
+      for (const other of queue) {
+        if (other === player) continue;
+        const gap = Math.abs((player.skill ?? GLICKO_DEFAULTS.rating) - (other.skill ?? GLICKO_DEFAULTS.rating));
+        const window = Math.max(matchWindow(now - player.joinedAt), matchWindow(now - other.joinedAt));
+        if (gap <= window && (!best || gap < best.gap)) best = { other, gap };
+      }
+      if (best) return [player, best.other];
+    }
+    return null;
+  }
+
+  // Takes a pairing out of every queue in the same step that hands it out,
+  // so a join or heartbeat racing this one cannot pair either player again.
+  async _takePairing(queues, control, queuedPlayers) {
+    const playerIds = queuedPlayers.map(p => p.playerId);
+    for (const timeKey in queues) {
+      queues[timeKey] = queues[timeKey].filter(p => !playerIds.includes(p.playerId));
+    }
+    await this.state.storage.put('queues', queues);
+    this._broadcastQueueStatus();
+    return this._matchResponse(control, queuedPlayers);
+  }
+
+  _matchResponse(control, queuedPlayers) {
+    return new Response(JSON.stringify({ 
+      shouldCreateRoom: true, 
+      timeControl: control.key,
+      mainTimeMs: control.mainTimeMs, 
+      incrementMs: control.incrementMs,
+      delayMs: control.delayMs,
+      queuedPlayers 
+    }), { headers: { 'Content-Type': 'application/json' } });
+  }
+
   async _cleanupStaleQueues(queues) {
     const now = Date.now();
     const STALE_TIME = 5 * 60 * 1000;
@@ -947,7 +2268,7 @@ export class RoomIndex {
       });
       
       if (queues[timeKey].length < originalLength) {
-        console.log(`Cleaned ${originalLength - queues[timeKey].length} stale players from ${timeKey}ms queue`);
+        log('info', 'queue_stale_removed', { timeControl: timeKey, removed: originalLength - queues[timeKey].length });
       }
     }
     
@@ -962,11 +2283,11 @@ export class RoomIndex {
     
     for (const timeControl of TIME_CONTROLS) {
       const timeMs = timeControl.ms;
-      const timeKey = timeMs.toString();
+      const timeKey = timeControl.key;
       const queueLength = queues[timeKey]?.length || 0;
       
       const activeGames = Object.values(rooms).filter(room => 
-        room.mainTimeMs === timeMs && 
+        roomTimeControlKey(room) === timeKey && 
         room.phase === 'PLAYING' &&
         room.players?.length === 2
       );
@@ -1024,7 +2345,8 @@ export class RoomIndex {
                 gameId: shortestGame.roomId,
                 startTime: now,
                 durationMs: minRemainingTime,
-                timeControlMs: timeMs
+                timeControlMs: timeMs,
+                timeControl: timeKey
               };
               await this.state.storage.put(anchorKey, newAnchor);
               
@@ -1066,19 +2388,60 @@ export class RoomIndex {
   }
 
   async fetch(request) {
-    if (request.method === 'POST' && request.url.endsWith('/update')) {
-      const body = await request.json().catch(() => ({}));
-      const rooms = await this._getAll();
-      const existingRoom = rooms[body.roomId] || {};
-      
-      rooms[body.roomId] = { 
-        ...existingRoom,
-        roomId: body.roomId, 
-        phase: body.phase, 
+    if (request.headers.get('Upgrade') === 'websocket') return this._handleWebSocket(request);
+    const url = new URL(request.url);
+    const requestId = request.headers.get('X-Request-Id');
+    if (url.pathname === '/challenges' || url.pathname.startsWith('/challenges/')) {
+      return this._handleChallenge(request, url);
+    }
+
+    // Audit entries sort by time so a reverse list returns newest first.
+    if (request.method === 'POST' && url.pathname === '/audit') {
+      const entry = await request.json().catch(() => ({}));
+      await this.state.storage.put(`audit:${String(entry.at).padStart(15, '0')}:${entry.id}`, entry);
+      return this._json({ ok: true });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/audit') {
+      const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 50));
+      const cursor = url.searchParams.get('cursor');
+      const batch = await this.state.storage.list({ prefix: 'audit:', reverse: true, limit, ...(cursor ? { end: `audit:${cursor}` } : {}) });
+      const keys = [...batch.keys()];
+      return this._json({
+        ok: true,
+        entries: [...batch.values()],
+        nextCursor: keys.length === limit ? keys[keys.length - 1].slice('audit:'.length) : null
+      });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/drainQueue') {
+      const body = await request.json().catch(() => ({}));
+      const control = resolveTimeControl(body);
+      if (!control) return this._json({ error: 'invalid_time_control' }, 400);
+
+      const queues = await this.state.storage.get('queues') || {};
+      const drained = (queues[control.key] || []).map(p => p.playerId);
+      queues[control.key] = [];
+      await this.state.storage.put('queues', queues);
+      this._notifyPlayers(drained, { type: 'queue_drained', timeControl: control.key, reason: body.reason || null });
+      this._broadcastQueueStatus();
+      return this._json({ ok: true, timeControl: control.key, drained });
+    }
+
+    if (request.method === 'POST' && request.url.endsWith('/update')) {
+      const body = await request.json().catch(() => ({}));
+      const rooms = await this._getAll();
+      const existingRoom = rooms[body.roomId] || {};
+      
+      rooms[body.roomId] = { 
+        ...existingRoom,
+        roomId: body.roomId, 
+        phase: body.phase, 
         players: body.players !== undefined ? body.players : (existingRoom.players || []),
         updatedAt: body.updatedAt || Date.now(),
         clocks: body.clocks,
         mainTimeMs: body.mainTimeMs,
+        timeControl: body.timeControl,
         liveWhiteMs: body.liveWhiteMs,
         liveBlackMs: body.liveBlackMs
       };
@@ -1086,6 +2449,33 @@ export class RoomIndex {
       await this._saveAll(rooms);
       return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
     }
+    // Invite codes map to the room that issued them; the room itself tracks
+    // expiry and revocation.
+    if (request.method === 'POST' && request.url.endsWith('/invites/claim')) {
+      const { code, roomId, expiresAt } = await request.json().catch(() => ({}));
+      const existing = await this.state.storage.get(`invite:${code}`);
+      if (existing && existing.roomId !== roomId && existing.expiresAt > Date.now()) {
+        return new Response(JSON.stringify({ error: 'code_taken' }), { status: 409, headers: { 'Content-Type': 'application/json' } });
+      }
+      await this.state.storage.put(`invite:${code}`, { roomId, expiresAt });
+      return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
+    }
+    if (request.method === 'POST' && request.url.endsWith('/invites/release')) {
+      const { code, roomId } = await request.json().catch(() => ({}));
+      const existing = await this.state.storage.get(`invite:${code}`);
+      if (existing && existing.roomId === roomId) await this.state.storage.delete(`invite:${code}`);
+      return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
+    }
+    if (request.method === 'GET' && new URL(request.url).pathname === '/invites/resolve') {
+      const code = normalizeInviteCode(new URL(request.url).searchParams.get('code') || '');
+      const entry = code ? await this.state.storage.get(`invite:${code}`) : null;
+      if (!entry) return new Response(JSON.stringify({ error: 'invite_not_found' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+      if (entry.expiresAt <= Date.now()) {
+        await this.state.storage.delete(`invite:${code}`);
+        return new Response(JSON.stringify({ error: 'invite_expired' }), { status: 410, headers: { 'Content-Type': 'application/json' } });
+      }
+      return new Response(JSON.stringify({ ok: true, code, roomId: entry.roomId }), { headers: { 'Content-Type': 'application/json' } });
+    }
     if (request.method === 'POST' && request.url.endsWith('/remove')) {
       const body = await request.json().catch(() => ({}));
       const rooms = await this._getAll();
@@ -1105,13 +2495,14 @@ export class RoomIndex {
     
     if (request.method === 'POST' && request.url.endsWith('/joinAll')) {
       const body = await request.json().catch(() => ({}));
-      const { playerId, name } = body;
+      const { playerId, name, skill } = body;
+      const skills = await this._lookupSkills(playerId, TIME_CONTROLS.map(tc => tc.key), skill);
       
       const queues = await this.state.storage.get('queues') || {};
       
       // Add player to all time control queues (don't remove from existing)
       for (const timeControl of TIME_CONTROLS) {
-        const timeKey = timeControl.ms.toString();
+        const timeKey = timeControl.key;
         if (!queues[timeKey]) {
           queues[timeKey] = [];
         }
@@ -1122,6 +2513,7 @@ export class RoomIndex {
           queues[timeKey].push({ 
             playerId, 
             name, 
+            skill: skills[timeKey],
             joinedAt: Date.now(), 
             lastHeartbeat: Date.now() 
           });
@@ -1139,39 +2531,38 @@ export class RoomIndex {
       // Clean up stale players before checking for matches
       await this._cleanupStaleQueues(queues);
       
-      // Check if any queue has 2 players to create a room
-      console.log('🔍 Checking all queues for matches after joinAll...');
+      // Check if any queue has a pairing inside its skill window
       for (const timeControl of TIME_CONTROLS) {
-        const timeKey = timeControl.ms.toString();
-        console.log(`📊 Queue ${timeKey}: ${queues[timeKey].length} players`);
-        if (queues[timeKey].length >= 2) {
-          const queuedPlayers = queues[timeKey].slice(0, 2);
-          console.log('🏠 Found match in joinAll:', queuedPlayers);
-          return new Response(JSON.stringify({ 
-            shouldCreateRoom: true, 
-            mainTimeMs: timeControl.ms, 
-            queuedPlayers 
-          }), { headers: { 'Content-Type': 'application/json' } });
+        const timeKey = timeControl.key;
+        const queuedPlayers = this._findPairing(queues[timeKey], Date.now());
+        if (queuedPlayers) {
+          log('info', 'queue_matched', { requestId, timeControl: timeKey, playerIds: queuedPlayers.map(p => p.playerId) });
+          return this._takePairing(queues, parseTimeControl(timeKey), queuedPlayers);
         }
       }
       
       return new Response(JSON.stringify({ 
         ok: true, 
         queued: true,
-        joinedQueues: TIME_CONTROLS.map(tc => tc.minutes)
+        joinedQueues: TIME_CONTROLS.map(tc => tc.key)
       }), { headers: { 'Content-Type': 'application/json' } });
     }
     
     if (request.method === 'POST' && request.url.endsWith('/addToQueue')) {
       const body = await request.json().catch(() => ({}));
-      const { playerId, name, mainTimeMs } = body;
+      const { playerId, name, skill } = body;
+      const control = resolveTimeControl(body);
       
-      console.log('🎯 addToQueue called:', { playerId, name, mainTimeMs });
+      if (!control) {
+        return new Response(JSON.stringify({ error: 'time_control_required' }), { 
+          status: 400, 
+          headers: { 'Content-Type': 'application/json' } 
+        });
+      }
       
+      const timeKey = control.key;
+      const skills = await this._lookupSkills(playerId, [timeKey], skill);
       const queues = await this.state.storage.get('queues') || {};
-      const timeKey = mainTimeMs.toString();
-      
-      console.log('📊 Current queues before:', JSON.stringify(queues));
       
       if (!queues[timeKey]) {
         queues[timeKey] = [];
@@ -1180,39 +2571,37 @@ export class RoomIndex {
       // Check if player already in this queue
       const alreadyInQueue = queues[timeKey].some(p => p.playerId === playerId);
       if (!alreadyInQueue) {
-        queues[timeKey].push({ playerId, name, joinedAt: Date.now(), lastHeartbeat: Date.now() });
-        console.log('➕ Player added to queue:', timeKey);
+        queues[timeKey].push({
+          playerId,
+          name,
+          skill: skills[timeKey],
+          joinedAt: Date.now(),
+          lastHeartbeat: Date.now()
+        });
       } else {
         // Update heartbeat if already in queue
         const player = queues[timeKey].find(p => p.playerId === playerId);
         if (player) {
           player.lastHeartbeat = Date.now();
-          console.log('💓 Player heartbeat updated:', timeKey);
         }
       }
       
       await this.state.storage.put('queues', queues);
-      console.log('💾 Queues saved:', JSON.stringify(queues));
       
       // Broadcast queue update to all connected clients
       this._broadcastQueueStatus();
       
       // Clean up stale players before checking for matches
       await this._cleanupStaleQueues(queues);
-      console.log('🧹 After cleanup:', JSON.stringify(queues));
       
-      // Check if we have 2 players to create a room
-      if (queues[timeKey].length >= 2) {
-        const queuedPlayers = queues[timeKey].slice(0, 2);
-        console.log('🏠 Creating room with players:', queuedPlayers);
-        return new Response(JSON.stringify({ 
-          shouldCreateRoom: true, 
-          mainTimeMs, 
-          queuedPlayers 
-        }), { headers: { 'Content-Type': 'application/json' } });
+      // Check if two players are close enough in skill to create a room
+      const queuedPlayers = this._findPairing(queues[timeKey], Date.now());
+      if (queuedPlayers) {
+        log('info', 'queue_matched', { requestId, timeControl: timeKey, playerIds: queuedPlayers.map(p => p.playerId) });
+        return this._takePairing(queues, control, queuedPlayers);
       }
       
-      console.log('⏳ Player queued, position:', queues[timeKey].findIndex(p => p.playerId === playerId) + 1);
+      log('info', 'queue_joined', { requestId, playerId, timeControl: timeKey, position: queues[timeKey].findIndex(p => p.playerId === playerId) + 1 });
       return new Response(JSON.stringify({ 
         ok: true, 
         queued: true, 
@@ -1222,7 +2611,6 @@ export class RoomIndex {
     
     if (request.method === 'POST' && request.url.endsWith('/debugQueues')) {
       const queues = await this.state.storage.get('queues') || {};
-      console.log('🔍 Debug: All queues:', JSON.stringify(queues, null, 2));
       return new Response(JSON.stringify({ 
         queues,
         totalQueued: Object.values(queues).reduce((sum, queue) => sum + queue.length, 0)
@@ -1231,7 +2619,6 @@ export class RoomIndex {
     
     if (request.method === 'POST' && request.url.endsWith('/debugRooms')) {
       const rooms = await this._getAll();
-      console.log('🔍 Debug: All rooms:', rooms);
       return new Response(JSON.stringify({ 
         rooms,
         count: Object.keys(rooms).length
@@ -1245,22 +2632,13 @@ export class RoomIndex {
       const queues = await this.state.storage.get('queues') || {};
       const rooms = await this._getAll();
       
-      console.log('🔍 checkMatch called for:', playerId);
-      
       // Check if player is in any active room
-      console.log('🏠 Checking rooms for player:', playerId);
-      console.log('🏠 Available rooms:', Object.keys(rooms));
-      
       for (const room of Object.values(rooms)) {
-        console.log('🏠 Checking room:', room.roomId, 'players:', room.players);
         if (room.players && Array.isArray(room.players)) {
           // Check both possible player ID field names
-          const foundInRoom = room.players.some(p => {
-            console.log('🔍 Checking player:', p, 'against:', playerId);
-            return p.id === playerId || p.playerId === playerId;
-          });
+          const foundInRoom = room.players.some(p => p.id === playerId || p.playerId === playerId);
           if (foundInRoom) {
-            console.log('✅ Player found in room:', room.roomId);
+            log('debug', 'queue_check_match', { requestId, playerId, roomId: room.roomId, matched: true });
             return new Response(JSON.stringify({ 
               matched: true, 
               roomId: room.roomId,
@@ -1279,7 +2657,7 @@ export class RoomIndex {
         }
       }
       
-      console.log('📊 Match check result:', { matched: false, inQueue });
+      log('debug', 'queue_check_match', { requestId, playerId, matched: false, inQueue });
       return new Response(JSON.stringify({ 
         matched: false, 
         inQueue 
@@ -1291,21 +2669,51 @@ export class RoomIndex {
       const { playerId } = body;
       
       const queues = await this.state.storage.get('queues') || {};
-      let found = false;
+      const queuedIn = [];
       
       for (const timeKey in queues) {
         const player = queues[timeKey].find(p => p.playerId === playerId);
         if (player) {
           player.lastHeartbeat = Date.now();
-          found = true;
-          break;
+          queuedIn.push(timeKey);
         }
       }
       
-      if (found) {
+      if (queuedIn.length > 0) {
         await this.state.storage.put('queues', queues);
       }
       
+      // Skill windows widen while players wait, so a heartbeat can turn up a
+      // pairing that was out of reach when they joined.
+      for (const timeKey of queuedIn) {
+        const queuedPlayers = this._findPairing(queues[timeKey], Date.now());
+        if (queuedPlayers && queuedPlayers.some(p => p.playerId === playerId)) {
+          return this._takePairing(queues, parseTimeControl(timeKey), queuedPlayers);
+        }
+      }
+      
+      return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
+    }
+    
+    // Puts a pairing whose room could not be created back in its queue,
+    // keeping the players' original place.
+    if (request.method === 'POST' && request.url.endsWith('/returnToQueue')) {
+      const { timeControl, queuedPlayers } = await request.json().catch(() => ({}));
+      if (!timeControl || !Array.isArray(queuedPlayers)) {
+        return new Response(JSON.stringify({ error: 'timeControl_and_queuedPlayers_required' }), { 
+          status: 400, 
+          headers: { 'Content-Type': 'application/json' } 
+        });
+      }
+
+      const queues = await this.state.storage.get('queues') || {};
+      const queue = queues[timeControl] || [];
+      for (const player of queuedPlayers) {
+        if (!queue.some(p => p.playerId === player.playerId)) queue.push(player);
+      }
+      queues[timeControl] = queue.sort((a, b) => a.joinedAt - b.joinedAt);
+      await this.state.storage.put('queues', queues);
+      this._broadcastQueueStatus();
       return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
     }
     
@@ -1380,7 +2788,7 @@ export class RoomIndex {
       
       // Debug queue info
       for (const timeControl of TIME_CONTROLS) {
-        const timeKey = timeControl.ms.toString();
+        const timeKey = timeControl.key;
         debugInfo.queues[timeKey] = {
           timeControl: timeControl.display,
           queueLength: queues[timeKey]?.length || 0,
@@ -1395,6 +2803,7 @@ export class RoomIndex {
           players: room.players?.length || 0,
           playerNames: room.players?.map(p => ({id: p.id, name: p.name})) || [],
           mainTimeMs: room.mainTimeMs,
+          timeControl: room.timeControl,
           allFields: Object.keys(room).filter(key => 
             key.toLowerCase().includes('time') || 
             key.toLowerCase().includes('clock') ||
@@ -1422,7 +2831,7 @@ export class RoomIndex {
       }
       for (const [roomId, room] of Object.entries(rooms)) {
         if (room.phase === 'PLAYING' && room.players?.length === 2) {
-          const timeKey = room.mainTimeMs?.toString();
+          const timeKey = roomTimeControlKey(room);
           if (timeKey) {
             if (!debugInfo.activeGames[timeKey]) {
               debugInfo.activeGames[timeKey] = [];
@@ -1473,7 +2882,7 @@ export class RoomIndex {
       
       // Debug anchors
       for (const timeControl of TIME_CONTROLS) {
-        const timeKey = timeControl.ms.toString();
+        const timeKey = timeControl.key;
         const anchorKey = `estimate_anchor_${timeKey}`;
         const anchorData = await this.state.storage.get(anchorKey);
         
@@ -1503,26 +2912,35 @@ export class RoomIndex {
       return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
     }
     
-    if (request.method === 'GET' && request.url.endsWith('/queue-status')) {
+    if (request.method === 'GET' && new URL(request.url).pathname === '/queue-status') {
       const estimates = await this._getEstimatedWaitTimes();
-      console.log('📊 Queue status requested, estimates:', estimates);
-      
-      // Also log raw queue data for debugging
       const queues = await this.state.storage.get('queues') || {};
-      console.log('📋 Raw queue data:', JSON.stringify(queues));
+      
+      // Current skill window per queue, for the asking player if they are in it
+      const playerId = new URL(request.url).searchParams.get('playerId');
+      const now = Date.now();
+      for (const timeKey in estimates) {
+        const entry = playerId && queues[timeKey]?.find(p => p.playerId === playerId);
+        const waitedMs = entry ? now - entry.joinedAt : 0;
+        estimates[timeKey].matchWindow = {
+          skill: entry ? entry.skill : null,
+          waitedMs,
+          range: matchWindow(waitedMs)
+        };
+      }
       
       return new Response(JSON.stringify({ ok: true, estimates }), { headers: { 'Content-Type': 'application/json' } });
     }
     
     if (request.method === 'POST' && request.url.endsWith('/clear-all-queues')) {
       const body = await request.json().catch(() => ({}));
-      const { mainTimeMs } = body;
+      const control = resolveTimeControl(body);
       
       const queues = await this.state.storage.get('queues') || {};
       
-      if (mainTimeMs) {
+      if (control) {
         // Clear specific queue
-        const timeKey = mainTimeMs.toString();
+        const timeKey = control.key;
         if (queues[timeKey]) {
           queues[timeKey] = [];
         }
@@ -1534,20 +2952,23 @@ export class RoomIndex {
       }
       
       await this.state.storage.put('queues', queues);
-      return new Response(JSON.stringify({ ok: true, message: mainTimeMs ? `Queue ${mainTimeMs}ms cleared` : 'All queues cleared' }), {
+      return new Response(JSON.stringify({ ok: true, message: control ? `Queue ${control.key} cleared` : 'All queues cleared' }), {
         headers: { 'Content-Type': 'application/json' }
       });
     }
 
     if (request.method === 'POST' && request.url.endsWith('/clearQueue')) {
       const body = await request.json().catch(() => ({}));
-      const { mainTimeMs } = body;
+      const control = resolveTimeControl(body);
       
       const queues = await this.state.storage.get('queues') || {};
-      const timeKey = mainTimeMs.toString();
       
-      if (queues[timeKey]) {
-        queues[timeKey] = [];
+      if (control) {
+        if (queues[control.key]) queues[control.key] = [];
+      } else {
+        for (const timeKey in queues) {
+          queues[timeKey] = [];
+        }
       }
       
       await this.state.storage.put('queues', queues);
@@ -1579,145 +3000,2363 @@ export class RoomIndex {
   }
 }
 
-// Scalable time controls configuration (matches frontend)
-const TIME_CONTROLS = [
-  { minutes: 5, ms: 300000, display: '5 min' },
-  { minutes: 10, ms: 600000, display: '10 min' },
-  { minutes: 15, ms: 900000, display: '15 min' },
-  // Easy to add more time controls:
-  // { minutes: 3, ms: 180000, display: '3 min' },
-  // { minutes: 30, ms: 1800000, display: '30 min' },
-];
+const GLICKO_SCALE = 173.7178;
+const GLICKO_TAU = 0.5;
+const GLICKO_DEFAULTS = { rating: 1500, rd: 350, volatility: 0.06 };
+
+// One Glicko-2 rating period for `player` (rating, rd, volatility) given the
+// games in it as [{ opponent, score }], score being 1, 0.5 or 0.
+export function glicko2Update(player, games) {
+  const mu = (player.rating - 1500) / GLICKO_SCALE;
+  const phi = player.rd / GLICKO_SCALE;
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const { opponent, score } of games) {
+    const muJ = (opponent.rating - 1500) / GLICKO_SCALE;
+    const phiJ = opponent.rd / GLICKO_SCALE;
+    const g = 1 / Math.sqrt(1 + 3 * phiJ ** 2 / Math.PI ** 2);
+    const expected = 1 / (1 + Math.exp(-g * (mu - muJ)));
+    vInverse += g ** 2 * expected * (1 - expected);
+    improvement += g * (score - expected);
+  }
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  // New volatility by the Illinois algorithm, as in Glickman's paper.
+  const a = Math.log(player.volatility ** 2);
+  const f = x => {
+    const ex = Math.exp(x);
+    return (ex * (delta ** 2 - phi ** 2 - v - ex)) / (2 * (phi ** 2 + v + ex) ** 2) - (x - a) / GLICKO_TAU ** 2;
+  };
+  let A = a;
+  let B;
+  if (delta ** 2 > phi ** 2 + v) {
+    B = Math.log(delta ** 2 - phi ** 2 - v);
+  } else {
+    let k = 1;
+    while (f(a - k * GLICKO_TAU) < 0) k++;
+    B = a - k * GLICKO_TAU;
+  }
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > 0.000001) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  const volatility = Math.exp(A / 2);
+
+  const phiStar = Math.sqrt(phi ** 2 + volatility ** 2);
+  const phiNew = 1 / Math.sqrt(1 / phiStar ** 2 + 1 / v);
+  const muNew = mu + phiNew ** 2 * improvement;
+  return {
+    rating: muNew * GLICKO_SCALE + 1500,
+    rd: phiNew * GLICKO_SCALE,
+    volatility
+  };
+}
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const segments = url.pathname.replace(/(^\/|\/$)/g, '').split('/');
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': env && env.FRONTEND_URL ? env.FRONTEND_URL : '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
+export class PlayerRegistry {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    // Leaderboard rows are kept per time control and period and updated as
+    // each result is recorded, so reads never scan player records.
+    this.state.storage.sql.exec(`
+      CREATE TABLE IF NOT EXISTS leaderboard (
+        time_control TEXT NOT NULL,
+        period TEXT NOT NULL,
+        period_key TEXT NOT NULL,
+        player_id TEXT NOT NULL,
+        name TEXT,
+        rating REAL NOT NULL,
+        rd REAL NOT NULL,
+        games INTEGER NOT NULL DEFAULT 0,
+        wins INTEGER NOT NULL DEFAULT 0,
+        losses INTEGER NOT NULL DEFAULT 0,
+        draws INTEGER NOT NULL DEFAULT 0,
+        last_game_at INTEGER,
+        PRIMARY KEY (time_control, period, period_key, player_id)
+      );
+    `);
+  }
+
+  _json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  async _getPlayer(playerId) {
+    const stored = await this.state.storage.get(`player:${playerId}`);
+    if (stored) return stored;
+    const now = Date.now();
+    return { id: playerId, name: null, ratings: {}, stats: this._emptyStats(), createdAt: now, updatedAt: now };
+  }
+
+  // Accounts are keyed by lowercased username; account-player maps a
+  // playerId back so sessions can be checked against it.
+  async _getAccount(username) {
+    return this.state.storage.get(`account:${username.toLowerCase()}`);
+  }
+
+  async _accountFor(playerId) {
+    const username = await this.state.storage.get(`account-player:${playerId}`);
+    return username ? this._getAccount(username) : null;
+  }
+
+  async _checkPassword(account, password) {
+    if (typeof password !== 'string') return false;
+    const hash = await hashPassword(password, account.passwordSalt, account.passwordIterations);
+    return timingSafeEqual(hash, account.passwordHash);
+  }
+
+  async _setPassword(account, password) {
+    const salt = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+    account.passwordSalt = salt;
+    account.passwordIterations = ACCOUNTS.pbkdf2Iterations;
+    account.passwordHash = await hashPassword(password, salt, ACCOUNTS.pbkdf2Iterations);
+    account.passwordChangedAt = Date.now();
+  }
+
+  _emptyStats() {
+    return {
+      games: 0, wins: 0, losses: 0, draws: 0,
+      drawOdds: { wins: 0, losses: 0 },
+      bidsWon: 0, winningBidTotalMs: 0,
+      colors: { white: 0, black: 0 },
+      picked: { white: 0, black: 0 }
     };
-    if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+  }
 
-    try {
-      if (request.method === 'POST' && url.pathname === '/rooms/clear-all-and-queues') {
-      // TESTING ONLY: Clear all rooms, reset index, and clear all queues
-      if (!env.ROOM_INDEX) {
-        return new Response(JSON.stringify({ error: 'no room index' }), { 
-          status: 500, 
-          headers: corsHeaders 
-        });
+  // History keys sort by finish time so a reverse list returns newest first.
+  _historyPrefix(playerId) {
+    return `history:${encodeURIComponent(playerId)}:`;
+  }
+
+  _historyKey(playerId, finishedAt, gameId) {
+    return `${this._historyPrefix(playerId)}${String(finishedAt).padStart(15, '0')}:${gameId}`;
+  }
+
+  _profile(player) {
+    const stats = player.stats || this._emptyStats();
+    const { white, black } = stats.picked;
+    return {
+      playerId: player.id,
+      name: player.name,
+      ratings: this._publicRatings(player),
+      totals: { games: stats.games, wins: stats.wins, losses: stats.losses, draws: stats.draws },
+      drawOdds: { ...stats.drawOdds },
+      averageWinningBidMs: stats.bidsWon ? Math.round(stats.winningBidTotalMs / stats.bidsWon) : null,
+      colorPreferences: {
+        played: { ...stats.colors },
+        picked: { white, black },
+        preferred: white === black ? null : (white > black ? 'white' : 'black')
+      },
+      createdAt: player.createdAt
+    };
+  }
+
+  _recordGame(player, entry) {
+    const stats = player.stats || this._emptyStats();
+    stats.games++;
+    if (entry.outcome === 'win') stats.wins++;
+    else if (entry.outcome === 'loss') stats.losses++;
+    else stats.draws++;
+    if (entry.adjudication === 'draw_odds') stats.drawOdds[entry.outcome === 'win' ? 'wins' : 'losses']++;
+    if (entry.wonBid && typeof entry.bidMs === 'number') {
+      stats.bidsWon++;
+      stats.winningBidTotalMs += entry.bidMs;
+    }
+    if (entry.color) stats.colors[entry.color]++;
+    if (entry.pickedColor && entry.color) stats.picked[entry.color]++;
+    player.stats = stats;
+  }
+
+  _updateLeaderboard(player, timeControl, outcome, finishedAt) {
+    const { rating, rd } = this._ratingFor(player, timeControl);
+    for (const [period, periodKey] of Object.entries(leaderboardPeriodKeys(finishedAt))) {
+      this.state.storage.sql.exec(
+        `INSERT INTO leaderboard (time_control, period, period_key, player_id, name, rating, rd, games, wins, losses, draws, last_game_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?, ?, ?, ?)
+         ON CONFLICT (time_control, period, period_key, player_id) DO UPDATE SET
+           name = excluded.name, rating = excluded.rating, rd = excluded.rd,
+           games = games + 1, wins = wins + excluded.wins, losses = losses + excluded.losses,
+           draws = draws + excluded.draws, last_game_at = excluded.last_game_at`,
+        timeControl, period, periodKey, player.id, player.name, rating, rd,
+        outcome === 'win' ? 1 : 0, outcome === 'loss' ? 1 : 0, outcome === 'draw' ? 1 : 0, finishedAt
+      );
+    }
+  }
+
+  // Ties on rating go to the lower RD, then more games, then the older last
+  // game: a rating moves with every game, so that is whoever has held theirs
+  // longest, not whoever reached it first. Ties on wins go to fewer games
+  // played, then rating, then the older last game.
+  _leaderboard({ timeControl, period, by, minGames, limit, offset }) {
+    const periodKey = leaderboardPeriodKeys(Date.now())[period];
+    const order = by === 'wins'
+      ? 'wins DESC, games ASC, rating DESC, last_game_at ASC'
+      : 'rating DESC, rd ASC, games DESC, last_game_at ASC';
+    const rows = this.state.storage.sql.exec(
+      `SELECT player_id, name, rating, rd, games, wins, losses, draws, last_game_at FROM leaderboard
+       WHERE time_control = ? AND period = ? AND period_key = ? AND games >= ?
+       ORDER BY ${order}, player_id ASC LIMIT ? OFFSET ?`,
+      timeControl, period, periodKey, minGames, limit, offset
+    ).toArray();
+
+    return {
+      timeControl,
+      period,
+      periodKey,
+      by,
+      minGames,
+      entries: rows.map((row, i) => ({
+        rank: offset + i + 1,
+        playerId: row.player_id,
+        name: row.name,
+        rating: Math.round(row.rating),
+        rd: Math.round(row.rd),
+        games: row.games,
+        wins: row.wins,
+        losses: row.losses,
+        draws: row.draws,
+        lastGameAt: row.last_game_at
+      }))
+    };
+  }
+
+  // Newest-first page of a player's games. `cursor` is the key suffix of the
+  // last game on the previous page; filters are applied while scanning.
+  async _listGames(playerId, { limit, cursor, timeControl, outcome }) {
+    const prefix = this._historyPrefix(playerId);
+    const games = [];
+    let end = cursor ? prefix + cursor : undefined;
+    let nextCursor = null;
+
+    while (games.length < limit) {
+      const batch = await this.state.storage.list({ prefix, reverse: true, limit: 100, ...(end ? { end } : {}) });
+      for (const [key, game] of batch) {
+        end = key;
+        if (timeControl && game.timeControl !== timeControl) continue;
+        if (outcome && game.outcome !== outcome) continue;
+        games.push(game);
+        if (games.length === limit) {
+          nextCursor = key.slice(prefix.length);
+          break;
+        }
       }
-      
-      try {
-        // Get room IDs from the index instead of listing Durable Objects
-        const indexId = env.ROOM_INDEX.idFromName('index');
-        const indexObj = env.ROOM_INDEX.get(indexId);
-        
-        // Get all rooms from index
-        const listRes = await indexObj.fetch(new Request('https://do/list', {
-          method: 'GET',
-          headers: { 'Content-Type': 'application/json' }
-        }));
-        const listData = await listRes.json().catch(() => ({ rooms: [] }));
-        const rooms = listData.rooms || [];
-        const roomIds = rooms.map(r => r.roomId).filter(Boolean);
-        
-        // Delete all room Durable Objects
-        for (const roomId of roomIds) {
-          if (!roomId) {
-            console.log('Skipping undefined roomId');
-            continue;
-          }
-          try {
-            const roomObjId = env.GAME_ROOMS.idFromName(roomId);
-            const roomObj = env.GAME_ROOMS.get(roomObjId);
-            await roomObj.fetch(new Request('https://do/delete', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' }
-            }));
-          } catch (e) {
-            console.log('Failed to delete room:', roomId, e);
-          }
+      if (batch.size < 100) break;
+    }
+    return { games, nextCursor };
+  }
+
+  _ratingFor(player, timeControl) {
+    return player.ratings[timeControl] || { ...GLICKO_DEFAULTS, games: 0 };
+  }
+
+  _publicRatings(player) {
+    const ratings = {};
+    for (const [timeControl, r] of Object.entries(player.ratings || {})) {
+      ratings[timeControl] = { rating: Math.round(r.rating), rd: Math.round(r.rd), volatility: r.volatility, games: r.games };
+    }
+    return ratings;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname === '/recordResult') {
+      const body = await request.json().catch(() => ({}));
+      const { winnerId, loserId, timeControl, names = {}, players = [] } = body;
+      if (!timeControl || players.length !== 2) return this._json({ error: 'timeControl_and_two_players_required' }, 400);
+      if (winnerId && !players.some(p => p.id === winnerId)) return this._json({ error: 'winner_not_in_game' }, 400);
+
+      const now = Date.now();
+      const gameId = body.gameId || `game-${crypto.randomUUID()}`;
+      const finishedAt = body.finishedAt || now;
+      const records = {};
+      for (const p of players) records[p.id] = await this._getPlayer(p.id);
+
+      const ratingChange = {};
+      if (winnerId && loserId) {
+        const winnerBefore = this._ratingFor(records[winnerId], timeControl);
+        const loserBefore = this._ratingFor(records[loserId], timeControl);
+        for (const [player, before, opponent, score] of [
+          [records[winnerId], winnerBefore, loserBefore, 1],
+          [records[loserId], loserBefore, winnerBefore, 0]
+        ]) {
+          const after = glicko2Update(before, [{ opponent, score }]);
+          player.ratings[timeControl] = { ...after, games: before.games + 1, updatedAt: now };
+          ratingChange[player.id] = {
+            before: Math.round(before.rating),
+            after: Math.round(after.rating),
+            delta: Math.round(after.rating) - Math.round(before.rating),
+            rd: Math.round(after.rd)
+          };
         }
-        
-        // Clear rooms from index
-        await indexObj.fetch(new Request('https://do/clear', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' }
-        }));
-        
-        // Clear all queues
-        await indexObj.fetch(new Request('https://do/clearQueue', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({})
-        }));
-        
-        return new Response(JSON.stringify({ 
-          ok: true, 
-          message: `All rooms cleared (${roomIds.length} rooms) and all queues cleared` 
-        }), { 
-          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
-        });
-      } catch (e) {
-        return new Response(JSON.stringify({ error: 'Failed to clear rooms and queues', details: e.message }), { 
-          status: 500, 
-          headers: corsHeaders 
-        });
       }
+
+      const writes = {};
+      for (const p of players) {
+        const opponent = players.find(o => o.id !== p.id);
+        const player = records[p.id];
+        player.name = names[p.id] || player.name;
+        player.updatedAt = now;
+        const entry = {
+          gameId,
+          roomId: body.roomId || null,
+          timeControl,
+          outcome: !winnerId ? 'draw' : (winnerId === p.id ? 'win' : 'loss'),
+          result: body.result || null,
+          termination: body.termination || null,
+          adjudication: body.adjudication || null,
+          color: p.color || null,
+          bidMs: p.bidMs ?? null,
+          wonBid: !!p.wonBid,
+          pickedColor: !!p.pickedColor,
+          opponent: { id: opponent.id, name: names[opponent.id] || null, bidMs: opponent.bidMs ?? null },
+          ratingChange: ratingChange[p.id] || null,
+          moveCount: body.moveCount || 0,
+          startedAt: body.startedAt || null,
+          finishedAt
+        };
+        this._recordGame(player, entry);
+        writes[`player:${p.id}`] = player;
+        writes[this._historyKey(p.id, finishedAt, gameId)] = entry;
+      }
+
+      await this.state.storage.put(writes);
+      for (const p of players) {
+        const outcome = !winnerId ? 'draw' : (winnerId === p.id ? 'win' : 'loss');
+        this._updateLeaderboard(records[p.id], timeControl, outcome, finishedAt);
+      }
+      return this._json({ ok: true, gameId, timeControl, ratingChange: Object.keys(ratingChange).length ? ratingChange : null });
     }
 
-    if (request.method === 'POST' && url.pathname === '/rooms/clear-all') {
-      // TESTING ONLY: Clear all rooms and reset index
-      if (!env.ROOM_INDEX) {
-        return new Response(JSON.stringify({ error: 'no room index' }), { 
-          status: 500, 
-          headers: corsHeaders 
-        });
+    if (request.method === 'GET' && url.pathname === '/player') {
+      const playerId = url.searchParams.get('id');
+      if (!playerId) return this._json({ error: 'id_required' }, 400);
+      const player = await this._getPlayer(playerId);
+      return this._json({ ok: true, playerId, name: player.name, ratings: this._publicRatings(player) });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/profile') {
+      const playerId = url.searchParams.get('id');
+      if (!playerId) return this._json({ error: 'id_required' }, 400);
+      const player = await this._getPlayer(playerId);
+      return this._json({ ok: true, ...this._profile(player) });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/games') {
+      const playerId = url.searchParams.get('id');
+      if (!playerId) return this._json({ error: 'id_required' }, 400);
+
+      const limit = Math.min(100, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 20));
+      let timeControl = null;
+      if (url.searchParams.get('timeControl')) {
+        timeControl = parseTimeControl(url.searchParams.get('timeControl'))?.key;
+        if (!timeControl) return this._json({ error: 'invalid_time_control' }, 400);
       }
-      
-      try {
-        // Get all rooms from index
-        const indexId = env.ROOM_INDEX.idFromName('index');
-        const indexObj = env.ROOM_INDEX.get(indexId);
-        const listRes = await indexObj.fetch(new Request('https://do/list'));
-        const listData = await listRes.json().catch(() => ({ rooms: [] }));
-        const rooms = listData.rooms || [];
-        
-        // Delete each room's Durable Object storage
-        for (const room of rooms) {
-          try {
-            const roomId = room.roomId;
-            const objId = env.GAME_ROOMS.idFromName(roomId);
-            const obj = env.GAME_ROOMS.get(objId);
-            await obj.fetch(new Request('https://do/delete', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' }
-            }));
-          } catch (e) {
-            console.error('Failed to delete room:', room.roomId, e);
-          }
-        }
-        
-        // Clear the room index
-        await indexObj.fetch(new Request('https://do/clear', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' }
-        }));
-        
-        return new Response(JSON.stringify({ ok: true, message: `All rooms cleared (${rooms.length} rooms deleted)` }), { 
-          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
-        });
-      } catch (e) {
-        return new Response(JSON.stringify({ error: 'Failed to clear rooms', details: e.message }), { 
-          status: 500, 
-          headers: corsHeaders 
-        });
+      const outcome = url.searchParams.get('result') || null;
+      if (outcome && !['win', 'loss', 'draw'].includes(outcome)) return this._json({ error: 'invalid_result' }, 400);
+
+      const page = await this._listGames(playerId, {
+        limit,
+        cursor: url.searchParams.get('cursor'),
+        timeControl,
+        outcome
+      });
+      return this._json({ ok: true, playerId, ...page });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/leaderboard') {
+      const params = url.searchParams;
+      if (!params.get('timeControl')) return this._json({ error: 'time_control_required' }, 400);
+      const control = parseTimeControl(params.get('timeControl'));
+      if (!control) return this._json({ error: 'invalid_time_control' }, 400);
+      const period = params.get('period') || 'all';
+      if (!LEADERBOARD.periods.includes(period)) return this._json({ error: 'invalid_period' }, 400);
+      const by = params.get('by') || 'rating';
+      if (!LEADERBOARD.sorts.includes(by)) return this._json({ error: 'invalid_sort' }, 400);
+
+      const minGames = params.has('minGames')
+        ? Math.max(0, parseInt(params.get('minGames'), 10) || 0)
+        : LEADERBOARD.defaultMinGames[by];
+      const limit = Math.min(100, Math.max(1, parseInt(params.get('limit'), 10) || 50));
+      const offset = Math.max(0, parseInt(params.get('offset'), 10) || 0);
+
+      return this._json({ ok: true, ...this._leaderboard({ timeControl: control.key, period, by, minGames, limit, offset }) });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/accounts/session') {
+      const playerId = url.searchParams.get('playerId');
+      if (!playerId) return this._json({ error: 'id_required' }, 400);
+      const account = await this._accountFor(playerId);
+      return this._json({ ok: true, account: account ? { username: account.username, sessionVersion: account.sessionVersion } : null });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/accounts/register') {
+      const body = await request.json().catch(() => ({}));
+      const { username, password } = body;
+      if (typeof username !== 'string' || !ACCOUNTS.usernamePattern.test(username)) return this._json({ error: 'invalid_username' }, 400);
+      if (typeof password !== 'string' || password.length < ACCOUNTS.minPasswordLength || password.length > ACCOUNTS.maxPasswordLength) {
+        return this._json({ error: 'invalid_password' }, 400);
+      }
+      if (await this._getAccount(username)) return this._json({ error: 'username_taken' }, 409);
+
+      // Claiming keeps the guest's ratings and history under the same id.
+      const playerId = body.claimPlayerId || `player-${crypto.randomUUID()}`;
+      if (body.claimPlayerId && await this._accountFor(playerId)) return this._json({ error: 'player_already_claimed' }, 409);
+
+      const now = Date.now();
+      const account = { username, playerId, sessionVersion: 1, createdAt: now };
+      await this._setPassword(account, password);
+      // Hashing yields to other requests, so check again right before the put.
+      if (await this._getAccount(username)) return this._json({ error: 'username_taken' }, 409);
+      if (body.claimPlayerId && await this._accountFor(playerId)) return this._json({ error: 'player_already_claimed' }, 409);
+      const player = await this._getPlayer(playerId);
+      player.name = username;
+      player.updatedAt = now;
+      await this.state.storage.put({
+        [`account:${username.toLowerCase()}`]: account,
+        [`account-player:${playerId}`]: username.toLowerCase(),
+        [`player:${playerId}`]: player
+      });
+      return this._json({ ok: true, username, playerId, claimed: !!body.claimPlayerId, sessionVersion: account.sessionVersion });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/accounts/login') {
+      const body = await request.json().catch(() => ({}));
+      const account = typeof body.username === 'string' ? await this._getAccount(body.username) : null;
+      if (!account || !(await this._checkPassword(account, body.password))) return this._json({ error: 'invalid_credentials' }, 401);
+      return this._json({ ok: true, username: account.username, playerId: account.playerId, sessionVersion: account.sessionVersion });
+    }
+
+    // Logging out and changing the password both bump sessionVersion, which
+    // invalidates every token issued for the account before that point.
+    if (request.method === 'POST' && url.pathname === '/accounts/logout') {
+      const body = await request.json().catch(() => ({}));
+      const account = body.playerId ? await this._accountFor(body.playerId) : null;
+      if (!account) return this._json({ error: 'no_account' }, 404);
+      account.sessionVersion++;
+      await this.state.storage.put(`account:${account.username.toLowerCase()}`, account);
+      return this._json({ ok: true });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/accounts/password') {
+      const body = await request.json().catch(() => ({}));
+      const account = body.playerId ? await this._accountFor(body.playerId) : null;
+      if (!account) return this._json({ error: 'no_account' }, 404);
+      if (!(await this._checkPassword(account, body.currentPassword))) return this._json({ error: 'invalid_credentials' }, 401);
+      const { newPassword } = body;
+      if (typeof newPassword !== 'string' || newPassword.length < ACCOUNTS.minPasswordLength || newPassword.length > ACCOUNTS.maxPasswordLength) {
+        return this._json({ error: 'invalid_password' }, 400);
+      }
+      await this._setPassword(account, newPassword);
+      account.sessionVersion++;
+      await this.state.storage.put(`account:${account.username.toLowerCase()}`, account);
+      return this._json({ ok: true, username: account.username, playerId: account.playerId, sessionVersion: account.sessionVersion });
+    }
+
+    return this._json({ error: 'not_found' }, 404);
+  }
+}
+
+// Finished games, kept in SQLite so they survive their rooms. One row per game
+// with the full record as JSON, plus one row per player for searches.
+export class GameArchive {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.sql = state.storage.sql;
+    this.sql.exec(`
+      CREATE TABLE IF NOT EXISTS games (
+        id TEXT PRIMARY KEY,
+        room_id TEXT,
+        time_control TEXT,
+        result TEXT,
+        termination TEXT,
+        winner_id TEXT,
+        started_at INTEGER,
+        finished_at INTEGER NOT NULL,
+        record TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS game_players (
+        game_id TEXT NOT NULL,
+        player_id TEXT NOT NULL,
+        color TEXT,
+        outcome TEXT,
+        PRIMARY KEY (game_id, player_id)
+      );
+      CREATE INDEX IF NOT EXISTS games_finished_at ON games (finished_at, id);
+      CREATE INDEX IF NOT EXISTS game_players_player ON game_players (player_id);
+    `);
+  }
+
+  _json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  // Accepts epoch milliseconds or anything Date.parse understands.
+  _parseDate(value) {
+    if (value == null || value === '') return null;
+    const ms = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isFinite(ms) ? ms : NaN;
+  }
+
+  _search(params) {
+    const where = [];
+    const bindings = [];
+    let join = '';
+
+    const playerId = params.get('playerId');
+    if (playerId) {
+      join = 'JOIN game_players gp ON gp.game_id = g.id';
+      where.push('gp.player_id = ?');
+      bindings.push(playerId);
+    }
+
+    if (params.get('timeControl')) {
+      const control = parseTimeControl(params.get('timeControl'));
+      if (!control) return { error: 'invalid_time_control' };
+      where.push('g.time_control = ?');
+      bindings.push(control.key);
+    }
+
+    // win/loss are relative to playerId; anything else matches the game's
+    // result (draw, checkmate, resignation, time_forfeit, ...), so a drawn
+    // draw-odds game still counts as a draw.
+    const result = params.get('result');
+    if (result === 'win' || result === 'loss') {
+      if (!playerId) return { error: 'playerId_required_for_result' };
+      where.push('gp.outcome = ?');
+      bindings.push(result);
+    } else if (result) {
+      where.push('g.result = ?');
+      bindings.push(result);
+    }
+
+    const from = this._parseDate(params.get('from'));
+    const to = this._parseDate(params.get('to'));
+    if (Number.isNaN(from) || Number.isNaN(to)) return { error: 'invalid_date' };
+    if (from !== null) {
+      where.push('g.finished_at >= ?');
+      bindings.push(from);
+    }
+    if (to !== null) {
+      where.push('g.finished_at <= ?');
+      bindings.push(to);
+    }
+
+    // Newest first; `cursor` is "<finishedAt>:<gameId>" of the last game on
+    // the previous page.
+    const cursor = params.get('cursor');
+    if (cursor) {
+      const split = cursor.indexOf(':');
+      const cursorAt = Number(cursor.slice(0, split));
+      if (split < 1 || !Number.isFinite(cursorAt)) return { error: 'invalid_cursor' };
+      where.push('(g.finished_at < ? OR (g.finished_at = ? AND g.id < ?))');
+      bindings.push(cursorAt, cursorAt, cursor.slice(split + 1));
+    }
+
+    const limit = Math.min(100, Math.max(1, parseInt(params.get('limit'), 10) || 20));
+    const rows = this.sql.exec(
+      `SELECT g.id, g.finished_at, g.record FROM games g ${join}
+       ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+       ORDER BY g.finished_at DESC, g.id DESC LIMIT ?`,
+      ...bindings, limit + 1
+    ).toArray();
+
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    return {
+      games: page.map(row => this._summary(JSON.parse(row.record), params)),
+      nextCursor: rows.length > limit ? `${last.finished_at}:${last.id}` : null
+    };
+  }
+
+  // The archive is public, but like a live room it names players other than
+  // the caller by seat. The router passes the caller as ?viewerId= and sets
+  // ?admin=1 for admins, who see real ids.
+  _idAlias(game, params) {
+    if (params.get('admin') === '1') return id => id;
+    const viewerId = params.get('viewerId');
+    const seats = game.players.map(p => p.id);
+    return id => {
+      if (!id || id === viewerId) return id;
+      const seat = seats.indexOf(id);
+      return seat >= 0 ? `seat-${seat + 1}` : 'seat-unknown';
+    };
+  }
+
+  _remapKeys(obj, alias) {
+    if (!obj) return obj;
+    return Object.fromEntries(Object.entries(obj).map(([id, value]) => [alias(id), value]));
+  }
+
+  _forViewer(game, params) {
+    const alias = this._idAlias(game, params);
+    return {
+      ...game,
+      players: game.players.map(p => ({ ...p, id: alias(p.id) })),
+      bids: this._remapKeys(game.bids, alias),
+      moves: game.moves.map(m => ({ ...m, by: alias(m.by) })),
+      colorPickedBy: alias(game.colorPickedBy),
+      drawOddsSide: alias(game.drawOddsSide),
+      winnerId: alias(game.winnerId),
+      ratingChange: this._remapKeys(game.ratingChange, alias)
+    };
+  }
+
+  _summary(game, params) {
+    const alias = this._idAlias(game, params);
+    return {
+      id: game.id,
+      timeControl: game.timeControl,
+      players: game.players.map(p => ({ ...p, id: alias(p.id) })),
+      result: game.result,
+      termination: game.termination,
+      adjudication: game.adjudication,
+      winnerId: alias(game.winnerId),
+      moveCount: game.moves.length,
+      startedAt: game.startedAt,
+      finishedAt: game.finishedAt
+    };
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname === '/archive') {
+      const game = await request.json().catch(() => ({}));
+      if (!game.id || !Array.isArray(game.players) || game.players.length !== 2) {
+        return this._json({ error: 'id_and_two_players_required' }, 400);
+      }
+      game.moves = Array.isArray(game.moves) ? game.moves : [];
+      game.finishedAt = game.finishedAt || Date.now();
+
+      this.sql.exec(
+        `INSERT OR REPLACE INTO games (id, room_id, time_control, result, termination, winner_id, started_at, finished_at, record)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        game.id, game.roomId || null, game.timeControl || null, game.result || null, game.termination || null,
+        game.winnerId || null, game.startedAt || null, game.finishedAt, JSON.stringify(game)
+      );
+      for (const p of game.players) {
+        const outcome = !game.winnerId ? 'draw' : (game.winnerId === p.id ? 'win' : 'loss');
+        this.sql.exec(
+          'INSERT OR REPLACE INTO game_players (game_id, player_id, color, outcome) VALUES (?, ?, ?, ?)',
+          game.id, p.id, p.color || null, outcome
+        );
+      }
+      return this._json({ ok: true, id: game.id });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/game') {
+      const id = url.searchParams.get('id');
+      if (!id) return this._json({ error: 'id_required' }, 400);
+      const row = this.sql.exec('SELECT record FROM games WHERE id = ?', id).toArray()[0];
+      if (!row) return this._json({ error: 'game_not_found' }, 404);
+      return this._json({ ok: true, game: this._forViewer(JSON.parse(row.record), url.searchParams) });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/search') {
+      const found = this._search(url.searchParams);
+      if (found.error) return this._json(found, 400);
+      return this._json({ ok: true, ...found });
+    }
+
+    return this._json({ error: 'not_found' }, 404);
+  }
+}
+
+// Club events: registration, Swiss or round-robin pairings, one GameRoom per
+// board, and standings with Buchholz and Sonneborn-Berger tie-breaks. Pairing
+// board sockets receive the public view after every change.
+export class Tournament {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.tournament = null;
+    this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+  }
+
+  _json(body, status = 200) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+  }
+
+  async _load() {
+    if (this.tournament) return;
+    this.tournament = (await this.state.storage.get('tournament')) || null;
+  }
+
+  async _save() {
+    this.tournament.updatedAt = Date.now();
+    await this.state.storage.put('tournament', this.tournament);
+    const message = JSON.stringify({ type: 'tournament_update', tournament: this._view() });
+    for (const ws of this.state.getWebSockets()) {
+      try { ws.send(message); } catch (e) {}
+    }
+  }
+
+  _activePlayers() {
+    return this.tournament.players.filter(p => !p.withdrawn);
+  }
+
+  _currentRound() {
+    return this.tournament.rounds[this.tournament.currentRound - 1] || null;
+  }
+
+  // Points, opponents and per-opponent scores for everyone, from the
+  // finished boards of every round.
+  _standings() {
+    const rows = new Map(this.tournament.players.map(p => [p.id, {
+      playerId: p.id, name: p.name, withdrawn: !!p.withdrawn,
+      points: 0, wins: 0, draws: 0, losses: 0, byes: 0, results: []
+    }]));
+
+    for (const round of this.tournament.rounds) {
+      for (const board of round.boards) {
+        if (!board.result) continue;
+        const [a, b] = board.players;
+        if (board.result === 'bye') {
+          rows.get(a).points += TOURNAMENT_POINTS.bye;
+          rows.get(a).byes++;
+          continue;
+        }
+        for (const [me, them] of [[a, b], [b, a]]) {
+          const score = board.result === 'draw' ? TOURNAMENT_POINTS.draw
+            : (board.winnerId === me ? TOURNAMENT_POINTS.win : TOURNAMENT_POINTS.loss);
+          const row = rows.get(me);
+          row.points += score;
+          if (board.result === 'draw') row.draws++;
+          else if (score) row.wins++;
+          else row.losses++;
+          row.results.push({ opponentId: them, score });
+        }
+      }
+    }
+
+    for (const row of rows.values()) {
+      row.buchholz = row.results.reduce((sum, r) => sum + rows.get(r.opponentId).points, 0);
+      row.sonnebornBerger = row.results.reduce((sum, r) => sum + r.score * rows.get(r.opponentId).points, 0);
+    }
+
+    return [...rows.values()]
+      .sort((x, y) => y.points - x.points || y.buchholz - x.buchholz
+        || y.sonnebornBerger - x.sonnebornBerger || y.wins - x.wins
+        || this._seed(x.playerId) - this._seed(y.playerId))
+      .map((row, i) => {
+        const { results, ...rest } = row;
+        return { rank: i + 1, ...rest };
+      });
+  }
+
+  _seed(playerId) {
+    return this.tournament.players.findIndex(p => p.id === playerId);
+  }
+
+  _view() {
+    const t = this.tournament;
+    return {
+      tournamentId: t.tournamentId,
+      name: t.name,
+      format: t.format,
+      timeControl: t.timeControl,
+      status: t.status,
+      organizerId: t.organizerId,
+      maxPlayers: t.maxPlayers,
+      totalRounds: t.totalRounds,
+      currentRound: t.currentRound,
+      players: t.players.map(({ id, name, withdrawn }) => ({ id, name, withdrawn: !!withdrawn })),
+      rounds: t.rounds,
+      standings: this._standings(),
+      createdAt: t.createdAt,
+      startedAt: t.startedAt,
+      finishedAt: t.finishedAt
+    };
+  }
+
+  // Circle method: the first seat stays put and the rest rotate; a null seat
+  // is the bye when the field is odd.
+  _roundRobinPairings(roundNumber) {
+    const seats = this.tournament.players.map(p => p.id);
+    if (seats.length % 2) seats.push(null);
+    const rotating = seats.slice(1);
+    for (let i = 1; i < roundNumber; i++) rotating.unshift(rotating.pop());
+    const order = [seats[0], ...rotating];
+    const pairs = [];
+    for (let i = 0; i < order.length / 2; i++) pairs.push([order[i], order[order.length - 1 - i]]);
+    return pairs
+      .filter(([a, b]) => a || b)
+      .map(([a, b]) => (a ? [a, b] : [b, a]));
+  }
+
+  // Greedy Swiss: by points then seed, each player takes the highest-ranked
+  // opponent they have not met yet (a rematch only when nobody else is
+  // left). The lowest-ranked player without a bye sits out an odd round.
+  _swissPairings() {
+    const standings = this._standings().filter(s => !s.withdrawn);
+    const met = new Map(standings.map(s => [s.playerId, new Set()]));
+    const hadBye = new Set();
+    for (const round of this.tournament.rounds) {
+      for (const { players: [a, b], result } of round.boards) {
+        if (result === 'bye' || !b) hadBye.add(a);
+        else {
+          met.get(a)?.add(b);
+          met.get(b)?.add(a);
+        }
+      }
+    }
+
+    const pool = standings.map(s => s.playerId);
+    let bye = null;
+    if (pool.length % 2) {
+      let byeIndex = pool.length - 1;
+      while (byeIndex > 0 && hadBye.has(pool[byeIndex])) byeIndex--;
+      bye = pool.splice(byeIndex, 1)[0];
+    }
+    const pairs = [];
+    while (pool.length) {
+      const player = pool.shift();
+      let index = pool.findIndex(id => !met.get(player).has(id));
+      if (index === -1) index = 0;
+      pairs.push([player, pool.splice(index, 1)[0]]);
+    }
+    if (bye) pairs.push([bye, null]);
+    return pairs;
+  }
+
+  // Tries a few times; null means the board could not get a room.
+  async _createBoardRoom(round, board, playerIds) {
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const roomId = await this._tryCreateBoardRoom(round, board, playerIds).catch(() => null);
+      if (roomId) return roomId;
+    }
+    return null;
+  }
+
+  async _tryCreateBoardRoom(round, board, playerIds) {
+    const roomId = `room-${crypto.randomUUID()}`;
+    const room = this.env.GAME_ROOMS.get(this.env.GAME_ROOMS.idFromName(roomId));
+    const res = await room.fetch(new Request('https://do/initRoom', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        roomId,
+        private: false,
+        timeControl: this.tournament.timeControl,
+        queuedPlayers: playerIds.map(id => ({
+          playerId: id,
+          name: this.tournament.players.find(p => p.id === id)?.name || null
+        })),
+        tournament: { tournamentId: this.tournament.tournamentId, round, board }
+      })
+    }));
+    const data = await res.json().catch(() => ({}));
+    return data.ok ? roomId : null;
+  }
+
+  async _startRound() {
+    const t = this.tournament;
+    const number = t.currentRound + 1;
+    const pairs = t.format === 'round_robin' ? this._roundRobinPairings(number) : this._swissPairings();
+    const now = Date.now();
+    const boards = [];
+
+    for (const [a, b] of pairs) {
+      const board = boards.length + 1;
+      const withdrawn = [a, b].filter(id => id && t.players.find(p => p.id === id)?.withdrawn);
+      if (!b) {
+        boards.push({ board, players: [a, null], roomId: null, result: 'bye', winnerId: a, reportedAt: now });
+      } else if (withdrawn.length) {
+        // Round-robin keeps withdrawn players in the schedule; their games
+        // are forfeited to the opponent.
+        const winnerId = withdrawn.length === 2 ? null : (withdrawn[0] === a ? b : a);
+        boards.push({ board, players: [a, b], roomId: null, result: 'forfeit', winnerId, reportedAt: now });
+      } else {
+        // A board that cannot get a room is a double forfeit rather than a
+        // round that never completes.
+        const roomId = await this._createBoardRoom(number, board, [a, b]);
+        if (roomId) boards.push({ board, players: [a, b], roomId, result: null, winnerId: null, reportedAt: null });
+        else boards.push({ board, players: [a, b], roomId: null, result: 'forfeit', winnerId: null, reportedAt: now, error: 'room_creation_failed' });
+      }
+    }
+
+    t.rounds.push({ number, boards, startedAt: now, completedAt: null });
+    t.currentRound = number;
+    await this._completeRoundIfDone();
+  }
+
+  async _completeRoundIfDone() {
+    const t = this.tournament;
+    const round = this._currentRound();
+    if (!round || round.boards.some(b => !b.result)) return;
+
+    round.completedAt = Date.now();
+    if (t.currentRound >= t.totalRounds || this._activePlayers().length < 2) {
+      t.status = 'FINISHED';
+      t.finishedAt = Date.now();
+      return;
+    }
+    await this._startRound();
+  }
+
+  _recordBoard(roundNumber, boardNumber, { result, winnerId, roomId }) {
+    const round = this.tournament.rounds[roundNumber - 1];
+    const board = round?.boards.find(b => b.board === boardNumber);
+    if (!board) return 'board_not_found';
+    if (roomId && board.roomId !== roomId) return 'room_mismatch';
+    if (board.result) return 'result_already_recorded';
+    // A forfeit without a winner is a double forfeit.
+    const doubleForfeit = result === 'forfeit' && winnerId == null;
+    if (result !== 'draw' && !doubleForfeit && !board.players.includes(winnerId)) return 'winner_not_on_board';
+    board.result = result;
+    board.winnerId = result === 'draw' || doubleForfeit ? null : winnerId;
+    board.reportedAt = Date.now();
+    return null;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    await this._load();
+
+    if (request.headers.get('Upgrade') === 'websocket') {
+      if (!this.tournament) return this._json({ error: 'tournament_not_found' }, 404);
+      const pair = new WebSocketPair();
+      const client = pair[0];
+      const server = pair[1];
+      this.state.acceptWebSocket(server);
+      server.serializeAttachment({ connectedAt: Date.now() });
+      server.send(JSON.stringify({ type: 'init', tournament: this._view() }));
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/create') {
+      if (this.tournament) return this._json({ error: 'already_initialized' }, 400);
+      const body = await request.json().catch(() => ({}));
+      if (!TOURNAMENT_FORMATS.includes(body.format)) return this._json({ error: 'invalid_format' }, 400);
+      const control = resolveTimeControl(body);
+      if (!control) return this._json({ error: 'invalid_time_control' }, 400);
+      if (!body.organizerId) return this._json({ error: 'organizerId_required' }, 400);
+      if (body.rounds != null && !(Number.isInteger(body.rounds) && body.rounds > 0)) {
+        return this._json({ error: 'invalid_rounds' }, 400);
+      }
+
+      const now = Date.now();
+      this.tournament = {
+        tournamentId: body.tournamentId,
+        name: body.name || 'Tournament',
+        format: body.format,
+        timeControl: control.key,
+        organizerId: body.organizerId,
+        maxPlayers: body.maxPlayers || 64,
+        requestedRounds: body.rounds || null,
+        totalRounds: null,
+        status: 'REGISTRATION',
+        players: [],
+        rounds: [],
+        currentRound: 0,
+        createdAt: now,
+        startedAt: null,
+        finishedAt: null
+      };
+      await this._save();
+      return this._json({ ok: true, tournament: this._view() });
+    }
+
+    if (!this.tournament) return this._json({ error: 'tournament_not_found' }, 404);
+
+    if (request.method === 'GET' && url.pathname === '/state') {
+      return this._json({ ok: true, tournament: this._view() });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/register') {
+      const { playerId, name } = await request.json().catch(() => ({}));
+      if (!playerId) return this._json({ error: 'playerId_required' }, 400);
+      if (this.tournament.status !== 'REGISTRATION') return this._json({ error: 'registration_closed' }, 400);
+      if (this.tournament.players.some(p => p.id === playerId)) return this._json({ ok: true, tournament: this._view() });
+      if (this.tournament.players.length >= this.tournament.maxPlayers) return this._json({ error: 'tournament_full' }, 400);
+      this.tournament.players.push({ id: playerId, name: name || null, registeredAt: Date.now() });
+      await this._save();
+      return this._json({ ok: true, tournament: this._view() });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/withdraw') {
+      const { playerId } = await request.json().catch(() => ({}));
+      const player = this.tournament.players.find(p => p.id === playerId);
+      if (!player) return this._json({ error: 'not_registered' }, 400);
+      if (this.tournament.status === 'FINISHED') return this._json({ error: 'tournament_finished' }, 400);
+      if (this.tournament.status === 'REGISTRATION') {
+        this.tournament.players = this.tournament.players.filter(p => p.id !== playerId);
+      } else {
+        player.withdrawn = true;
+      }
+      await this._save();
+      return this._json({ ok: true, tournament: this._view() });
+    }
+
+    if (request.method === 'POST' && url.pathname === '/start') {
+      const { playerId } = await request.json().catch(() => ({}));
+      if (playerId !== this.tournament.organizerId) return this._json({ error: 'organizer_only' }, 403);
+      if (this.tournament.status !== 'REGISTRATION') return this._json({ error: 'already_started' }, 400);
+      const count = this.tournament.players.length;
+      if (count < 2) return this._json({ error: 'need_more_players' }, 400);
+
+      // Round-robin plays everyone once; Swiss defaults to enough rounds to
+      // separate a single winner.
+      const fullCycle = count % 2 ? count : count - 1;
+      this.tournament.totalRounds = this.tournament.format === 'round_robin'
+        ? fullCycle
+        : Math.min(this.tournament.requestedRounds || Math.ceil(Math.log2(count)), fullCycle);
+      this.tournament.status = 'RUNNING';
+      this.tournament.startedAt = Date.now();
+      await this._startRound();
+      await this._save();
+      return this._json({ ok: true, tournament: this._view() });
+    }
+
+    // Sent by a tournament GameRoom when its game finishes, or with
+    // result 'forfeit' when the room closed without a game.
+    if (request.method === 'POST' && url.pathname === '/report') {
+      const { round, board, roomId, winnerId, result } = await request.json().catch(() => ({}));
+      const error = this._recordBoard(round, board, { result: result || (winnerId ? 'win' : 'draw'), winnerId, roomId });
+      if (error) return this._json({ error }, 400);
+      await this._completeRoundIfDone();
+      await this._save();
+      return this._json({ ok: true });
+    }
+
+    // Organizer override for no-shows and disputes.
+    if (request.method === 'POST' && url.pathname === '/result') {
+      const { playerId, round, board, winnerId, draw } = await request.json().catch(() => ({}));
+      if (playerId !== this.tournament.organizerId) return this._json({ error: 'organizer_only' }, 403);
+      if (this.tournament.status !== 'RUNNING') return this._json({ error: 'not_running' }, 400);
+      const error = this._recordBoard(round, board, { result: draw ? 'draw' : 'forfeit', winnerId });
+      if (error) return this._json({ error }, 400);
+      await this._completeRoundIfDone();
+      await this._save();
+      return this._json({ ok: true, tournament: this._view() });
+    }
+
+    return this._json({ error: 'not_found' }, 404);
+  }
+
+  async webSocketMessage(ws, message) {
+    const checked = validateSocketMessage('tournament', message);
+    if (checked.error) {
+      ws.send(JSON.stringify({ type: 'error', id: checked.id, status: 400, error: checked.error, fields: checked.fields }));
+      return;
+    }
+    await this._load();
+    ws.send(JSON.stringify({ type: 'tournament_update', tournament: this.tournament ? this._view() : null }));
+  }
+
+  async webSocketClose(ws, code, reason) {
+    try { ws.close(code, reason); } catch (e) {}
+  }
+}
+
+const TOURNAMENT_FORMATS = ['swiss', 'round_robin'];
+
+const TOURNAMENT_POINTS = { win: 1, draw: 0.5, loss: 0, bye: 1 };
+
+// A challenge waits two minutes for an answer. Bid and choice windows are the
+// room's own, kept between 5 seconds and 5 minutes.
+const CHALLENGES = {
+  ttlMs: 2 * 60 * 1000,
+  acceptTimeoutMs: 30 * 1000,
+  minDurationMs: 5000,
+  maxDurationMs: 5 * 60 * 1000
+};
+
+export function challengeTerms(body) {
+  const control = resolveTimeControl(body);
+  if (!control) return { error: body.timeControl ? 'invalid_time_control' : 'time_control_required' };
+  const terms = { timeControl: control.key };
+  for (const field of ['bidDurationMs', 'choiceDurationMs']) {
+    const value = body[field] ?? 10000;
+    if (!Number.isFinite(value) || value < CHALLENGES.minDurationMs || value > CHALLENGES.maxDurationMs) {
+      return { error: `invalid_${field}` };
+    }
+    terms[field] = value;
+  }
+  return terms;
+}
+
+// Chat keeps the last 100 messages and lets each sender post 5 messages per
+// 10 seconds. CHAT_WORD_FILTER in the environment adds words for every room.
+const CHAT = {
+  historyLimit: 100,
+  maxLength: 500,
+  rateLimit: 5,
+  rateWindowMs: 10000,
+  audiences: ['everyone', 'players']
+};
+
+export function filterChatText(text, words) {
+  const list = words.map(w => w.trim()).filter(Boolean);
+  if (!list.length) return text;
+  const escaped = list.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi');
+  return text.replace(pattern, match => '*'.repeat(match.length));
+}
+
+const INVITES = {
+  defaultTtlMs: 24 * 60 * 60 * 1000,
+  minTtlMs: 60 * 1000,
+  maxTtlMs: 7 * 24 * 60 * 60 * 1000
+};
+
+// Invite codes skip 0/O, 1/I/L and U so they survive being read aloud.
+const INVITE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+export function generateInviteCode() {
+  const chars = [];
+  while (chars.length < 8) {
+    for (const byte of crypto.getRandomValues(new Uint8Array(16))) {
+      if (byte < 240 && chars.length < 8) chars.push(INVITE_ALPHABET[byte % INVITE_ALPHABET.length]);
+    }
+  }
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// Accepts codes typed in any case, with or without the dash.
+export function normalizeInviteCode(code) {
+  const clean = String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+  return clean.length === 8 ? `${clean.slice(0, 4)}-${clean.slice(4)}` : clean;
+}
+
+// Ratings stay provisional for the first few games, so they need more games
+// than win counts before they are ranked.
+const LEADERBOARD = {
+  periods: ['all', 'monthly', 'weekly'],
+  sorts: ['rating', 'wins'],
+  defaultMinGames: { rating: 5, wins: 1 }
+};
+
+// UTC period keys: "all", "2026-10" and the ISO week "2026-W42".
+export function leaderboardPeriodKeys(ms) {
+  const date = new Date(ms);
+  const month = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return { all: 'all', monthly: month, weekly: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}` };
+}
+
+// Counters and histograms for the whole deployment, rendered in the
+// Prometheus text format. Each series is stored under its own
+// `series:<name><labels>` key, so a record only rewrites what it touches.
+export class Metrics {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    // The body is read before storage so that nothing but storage calls sit
+    // between reading a series and writing it back.
+    if (request.method === 'POST' && url.pathname === '/record') {
+      const { counters = [], observations = [] } = await request.json().catch(() => ({}));
+      const updates = [
+        ...counters.filter(([name]) => METRICS[name]?.type === 'counter'),
+        ...observations.filter(([name, , value]) => METRICS[name]?.type === 'histogram' && typeof value === 'number')
+      ];
+      const keys = [...new Set(updates.map(([name, labels]) => `series:${name}${metricLabels(labels)}`))];
+      const series = keys.length ? Object.fromEntries(await this.state.storage.get(keys)) : {};
+
+      for (const [name, labels, amount = 1] of updates) {
+        const def = METRICS[name];
+        const key = `series:${name}${metricLabels(labels)}`;
+        if (def.type === 'counter') {
+          series[key] = series[key] || { name, labels: labels || {}, value: 0 };
+          series[key].value += amount;
+          continue;
+        }
+        series[key] = series[key] || { name, labels: labels || {}, buckets: def.buckets.map(() => 0), sum: 0, count: 0 };
+        def.buckets.forEach((le, i) => { if (amount <= le) series[key].buckets[i]++; });
+        series[key].sum += amount;
+        series[key].count++;
+      }
+      if (keys.length) await this.state.storage.put(series);
+      return new Response(JSON.stringify({ ok: true }), { headers: { 'Content-Type': 'application/json' } });
+    }
+
+    if (request.method === 'GET' && url.pathname === '/metrics') {
+      const series = Object.fromEntries(await this.state.storage.list({ prefix: 'series:' }));
+      const lines = [];
+      for (const [name, def] of Object.entries(METRICS)) {
+        lines.push(`# HELP ${name} ${def.help}`, `# TYPE ${name} ${def.type}`);
+        for (const entry of Object.values(series).filter(e => e.name === name)) {
+          if (def.type === 'counter') {
+            lines.push(`${name}${metricLabels(entry.labels)} ${entry.value}`);
+            continue;
+          }
+          def.buckets.forEach((le, i) => lines.push(`${name}_bucket${metricLabels({ ...entry.labels, le })} ${entry.buckets[i]}`));
+          lines.push(`${name}_bucket${metricLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+          lines.push(`${name}_sum${metricLabels(entry.labels)} ${entry.sum}`);
+          lines.push(`${name}_count${metricLabels(entry.labels)} ${entry.count}`);
+        }
+      }
+      return new Response(lines.join('\n') + '\n', { headers: { 'Content-Type': 'text/plain; version=0.0.4' } });
+    }
+
+    return new Response(JSON.stringify({ error: 'not_found' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+// Fixed-window request counters for one client key (an IP or a playerId),
+// one window per route class.
+export class RateLimiter {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const { routeClass } = await request.json().catch(() => ({}));
+    const limit = RATE_LIMITS[routeClass];
+    if (!limit) {
+      return new Response(JSON.stringify({ error: 'unknown_route_class' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+    }
+
+    const now = Date.now();
+    const windowStart = now - (now % limit.windowMs);
+    const key = `window:${routeClass}`;
+    const current = await this.state.storage.get(key);
+    const count = current?.windowStart === windowStart ? current.count : 0;
+
+    let body;
+    if (count >= limit.limit) {
+      body = { allowed: false, limit: limit.limit, retryAfterMs: windowStart + limit.windowMs - now };
+    } else {
+      await this.state.storage.put(key, { windowStart, count: count + 1 });
+      body = { allowed: true, limit: limit.limit, remaining: limit.limit - count - 1 };
+    }
+    return new Response(JSON.stringify(body), { headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+// Requests per minute for each route class, applied separately to the
+// client IP and to the playerId the request acts for.
+const RATE_LIMITS = {
+  read: { limit: 300, windowMs: 60000 },
+  action: { limit: 120, windowMs: 60000 },
+  queue: { limit: 30, windowMs: 60000 },
+  auth: { limit: 10, windowMs: 60000 },
+  admin: { limit: 10, windowMs: 60000 }
+};
+
+function isAdminPath(path) {
+  return path === '/admin' || path.startsWith('/admin/');
+}
+
+const QUEUE_ROUTES = ['/queue/join', '/queue/joinAll', '/queue/leave', '/queue/checkMatch', '/rooms/join-next', '/challenges'];
+
+// Routes that work without a session because they are how one is obtained.
+const AUTH_ROUTES = ['/session', '/accounts/register', '/accounts/login'];
+
+export function rateLimitClass(request, url) {
+  const path = url.pathname.replace(/\/$/, '');
+  if (isAdminPath(path)) return 'admin';
+  if (request.method === 'POST' && AUTH_ROUTES.includes(path)) return 'auth';
+  if (request.method === 'POST' && QUEUE_ROUTES.includes(path)) return 'queue';
+  if (request.method === 'GET' || request.headers.get('Upgrade') === 'websocket') return 'read';
+  return 'action';
+}
+
+// Checks the IP and playerId counters for this request. Returns a 429
+// response when either is exhausted, or null to let the request through.
+// Limiter failures let the request through rather than take the API down.
+async function enforceRateLimit(request, env, url, corsHeaders) {
+  if (!env.RATE_LIMITER) return null;
+  const routeClass = rateLimitClass(request, url);
+
+  let playerId = url.searchParams.get('playerId');
+  if (!playerId && request.method === 'POST') {
+    playerId = (await request.clone().json().catch(() => ({})))?.playerId || null;
+  }
+  const keys = [`ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`];
+  if (playerId) keys.push(`player:${playerId}`);
+
+  try {
+    const results = await Promise.all(keys.map(async key => {
+      const limiter = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+      const res = await limiter.fetch(new Request('https://do/check', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ routeClass })
+      }));
+      return res.json();
+    }));
+    const blocked = results.filter(r => r.allowed === false);
+    if (!blocked.length) return null;
+
+    const retryAfter = Math.ceil(Math.max(...blocked.map(r => r.retryAfterMs)) / 1000);
+    return new Response(JSON.stringify({ error: 'rate_limited', routeClass, retryAfter }), {
+      status: 429,
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Retry-After': String(retryAfter),
+        'Access-Control-Expose-Headers': 'Retry-After'
+      }, corsHeaders)
+    });
+  } catch (e) {
+    log('error', 'rate_limiter_unavailable', { error: e.message });
+    return null;
+  }
+}
+
+// One JSON object per line so logs can be filtered by requestId, roomId or
+// playerId.
+function log(level, event, fields = {}) {
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, event, ...fields });
+  if (level === 'error') console.error(line);
+  else console.log(line);
+}
+
+const METRICS = {
+  games_started_total: { type: 'counter', help: 'Games that reached the playing phase.' },
+  games_finished_total: { type: 'counter', help: 'Finished games by termination.' },
+  index_update_failures_total: { type: 'counter', help: 'Failed writes from rooms to the room index.' },
+  queue_wait_seconds: { type: 'histogram', help: 'Time from joining a queue to being placed in a room.', buckets: [1, 5, 10, 30, 60, 120, 300, 600] },
+  move_latency_ms: { type: 'histogram', help: 'Time to validate, apply and save a move.', buckets: [5, 10, 25, 50, 100, 250, 500, 1000, 2500] }
+};
+
+// counters: [[name, labels, amount = 1]], observations: [[name, labels, value]].
+// Metrics are best effort and never fail the caller.
+async function recordMetrics(env, { counters = [], observations = [] }) {
+  if (!env?.METRICS || (!counters.length && !observations.length)) return;
+  try {
+    const obj = env.METRICS.get(env.METRICS.idFromName('metrics'));
+    await obj.fetch(new Request('https://do/record', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ counters, observations })
+    }));
+  } catch (e) {
+    log('error', 'metrics_write_failed', { error: e.message });
+  }
+}
+
+export function metricLabels(labels) {
+  const entries = Object.entries(labels || {}).sort(([a], [b]) => a.localeCompare(b));
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+// A per-request env whose Durable Object stubs stamp X-Request-Id on every
+// call, so the objects' own log lines carry the id of the request behind them.
+function instrumentEnv(env, requestId) {
+  const wrapped = { ...env };
+  for (const [name, binding] of Object.entries(env || {})) {
+    if (!binding || typeof binding.idFromName !== 'function' || typeof binding.get !== 'function') continue;
+    wrapped[name] = {
+      idFromName: value => binding.idFromName(value),
+      get: id => {
+        const stub = binding.get(id);
+        return {
+          fetch: (input, init) => {
+            const req = new Request(input, init);
+            const headers = new Headers(req.headers);
+            headers.set('X-Request-Id', requestId);
+            return stub.fetch(new Request(req, { headers }));
+          }
+        };
+      }
+    };
+  }
+  return wrapped;
+}
+
+// Compares strings without stopping at the first difference, so the time
+// taken depends only on the length of `expected`.
+export function timingSafeEqual(actual, expected) {
+  if (typeof actual !== 'string' || typeof expected !== 'string') return false;
+  let diff = actual.length ^ expected.length;
+  for (let i = 0; i < expected.length; i++) diff |= (actual.charCodeAt(i) || 0) ^ expected.charCodeAt(i);
+  return diff === 0;
+}
+
+// The admin credential, as X-Admin-Token or as a bearer token for scrapers
+// that can only send Authorization.
+export function isAdminRequest(request, env) {
+  if (!env.ADMIN_TOKEN) return false;
+  const bearer = (request.headers.get('Authorization') || '').replace(/^Bearer /, '');
+  const header = timingSafeEqual(request.headers.get('X-Admin-Token'), env.ADMIN_TOKEN);
+  return timingSafeEqual(bearer, env.ADMIN_TOKEN) || header;
+}
+
+// Deletes every indexed room's storage and empties the index. Returns how
+// many rooms were deleted.
+async function clearAllRooms(env, indexObj) {
+  const listRes = await indexObj.fetch(new Request('https://do/list'));
+  const listData = await listRes.json().catch(() => ({ rooms: [] }));
+  const roomIds = (listData.rooms || []).map(r => r.roomId).filter(Boolean);
+
+  for (const roomId of roomIds) {
+    try {
+      const obj = env.GAME_ROOMS.get(env.GAME_ROOMS.idFromName(roomId));
+      await obj.fetch(new Request('https://do/delete', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    } catch (e) {
+      log('error', 'room_delete_failed', { roomId, error: e.message });
+    }
+  }
+
+  await indexObj.fetch(new Request('https://do/clear', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  return roomIds.length;
+}
+
+// Routes under /admin, already authenticated. `segments` excludes "admin".
+// Returns a plain JSON response; the caller adds CORS and writes the audit entry.
+async function handleAdminRequest(request, env, segments, body) {
+  const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+  if (!env.ROOM_INDEX) return json({ error: 'no_room_index' }, 500);
+  const indexObj = env.ROOM_INDEX.get(env.ROOM_INDEX.idFromName('index'));
+  const indexPost = (path, payload = {}) => indexObj.fetch(new Request(`https://do/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }));
+  const [area, target, action] = segments;
+
+  if (request.method === 'GET' && area === 'audit' && segments.length === 1) {
+    return indexObj.fetch(new Request(`https://do/audit${new URL(request.url).search}`));
+  }
+
+  if (area === 'rooms') {
+    if (request.method === 'GET' && segments.length === 1) return indexPost('debugRooms');
+    if (request.method === 'POST' && target === 'clear-all' && segments.length === 2) {
+      const count = await clearAllRooms(env, indexObj);
+      return json({ ok: true, message: `All rooms cleared (${count} rooms deleted)` });
+    }
+    if (request.method === 'POST' && target === 'clear-all-and-queues' && segments.length === 2) {
+      const count = await clearAllRooms(env, indexObj);
+      await indexPost('clearQueue');
+      return json({ ok: true, message: `All rooms cleared (${count} rooms) and all queues cleared` });
+    }
+
+    if (target) {
+      const roomObj = env.GAME_ROOMS.get(env.GAME_ROOMS.idFromName(target));
+      const headers = { 'Content-Type': 'application/json', 'X-Admin-Token': env.ADMIN_TOKEN };
+      if (request.method === 'GET' && segments.length === 2) {
+        return roomObj.fetch(new Request('https://do/getState', { headers }));
+      }
+      if (request.method === 'POST' && ['finish', 'abort', 'kick'].includes(action) && segments.length === 3) {
+        return roomObj.fetch(new Request(`https://do/admin/${action}`, { method: 'POST', headers, body: JSON.stringify(body) }));
+      }
+    }
+  }
+
+  if (area === 'queues') {
+    if (request.method === 'GET' && segments.length === 1) return indexPost('debugQueues');
+    if (request.method === 'GET' && target === 'estimates' && segments.length === 2) return indexPost('debugEstimates');
+    if (request.method === 'POST' && target === 'clear-all' && segments.length === 2) return indexPost('clear-all-queues');
+    if (request.method === 'POST' && action === 'drain' && segments.length === 3) {
+      return indexPost('drainQueue', { timeControl: decodeURIComponent(target), reason: body.reason || null });
+    }
+  }
+
+  return json({ error: 'not_found' }, 404);
+}
+
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Account lookups for verifySession, cached per isolate so every request does
+// not hit the one PlayerRegistry. A revocation made through another isolate
+// can take up to ttlMs to reach this one.
+const SESSION_ACCOUNTS = { ttlMs: 10000, maxEntries: 5000 };
+const sessionAccountCache = new Map();
+
+async function sessionAccount(env, playerId, now = Date.now()) {
+  const cached = sessionAccountCache.get(playerId);
+  if (cached && cached.expiresAt > now) return cached.account;
+
+  const registry = env.PLAYER_REGISTRY.get(env.PLAYER_REGISTRY.idFromName('registry'));
+  const res = await registry.fetch(new Request(`https://do/accounts/session?playerId=${encodeURIComponent(playerId)}`));
+  const { account } = await res.json();
+  if (sessionAccountCache.size >= SESSION_ACCOUNTS.maxEntries) {
+    for (const [id, entry] of sessionAccountCache) {
+      if (entry.expiresAt <= now) sessionAccountCache.delete(id);
+    }
+    if (sessionAccountCache.size >= SESSION_ACCOUNTS.maxEntries) sessionAccountCache.clear();
+  }
+  sessionAccountCache.set(playerId, { account, expiresAt: now + SESSION_ACCOUNTS.ttlMs });
+  return account;
+}
+
+const ACCOUNTS = {
+  usernamePattern: /^[A-Za-z0-9_-]{3,20}$/,
+  minPasswordLength: 8,
+  maxPasswordLength: 128,
+  pbkdf2Iterations: 100000
+};
+
+export async function hashPassword(password, saltHex, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const salt = Uint8Array.from(saltHex.match(/../g), h => parseInt(h, 16));
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return [...new Uint8Array(bits)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(text.length / 4) * 4, '=');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function sessionKey(env) {
+  return crypto.subtle.importKey('raw', new TextEncoder().encode(env.SESSION_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+}
+
+// Tokens are "<base64url payload>.<base64url HMAC-SHA256 of the payload>",
+// signed with SESSION_SECRET. The payload binds the playerId and expiry.
+// Account sessions also carry the account's sessionVersion (sv).
+export async function signSession(env, playerId, sessionVersion = null, now = Date.now()) {
+  const expiresAt = now + SESSION_TTL_MS;
+  const claims = { sub: playerId, iat: now, exp: expiresAt };
+  if (sessionVersion !== null) claims.sv = sessionVersion;
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign('HMAC', await sessionKey(env), new TextEncoder().encode(payload));
+  return { token: `${payload}.${base64UrlEncode(new Uint8Array(signature))}`, expiresAt };
+}
+
+// Returns { playerId, username, sessionVersion } for a valid token, otherwise
+// { error } with one of missing, invalid, expired, revoked or secret_missing.
+// Tokens for a playerId that belongs to an account must carry its current
+// sessionVersion, so guest tokens stop working once the id is claimed.
+export async function verifySession(env, token) {
+  if (!env.SESSION_SECRET) return { error: 'secret_missing' };
+  if (!token) return { error: 'missing' };
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return { error: 'invalid' };
+
+  try {
+    const valid = await crypto.subtle.verify('HMAC', await sessionKey(env), base64UrlDecode(signature), new TextEncoder().encode(payload));
+    if (!valid) return { error: 'invalid' };
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    if (typeof claims.sub !== 'string' || typeof claims.exp !== 'number') return { error: 'invalid' };
+    if (claims.exp <= Date.now()) return { error: 'expired' };
+    if (!env.PLAYER_REGISTRY) return { playerId: claims.sub, username: null, sessionVersion: null };
+
+    const account = await sessionAccount(env, claims.sub);
+    if (account ? claims.sv !== account.sessionVersion : claims.sv !== undefined) return { error: 'revoked' };
+    return { playerId: claims.sub, username: account?.username || null, sessionVersion: account?.sessionVersion ?? null };
+  } catch (e) {
+    return { error: 'invalid' };
+  }
+}
+
+// Browsers cannot set headers on WebSocket requests, so sockets pass ?token=.
+function sessionTokenFrom(request, url) {
+  const header = request.headers.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim();
+  return url.searchParams.get('token');
+}
+
+function sessionError(reason, corsHeaders) {
+  if (reason === 'secret_missing') {
+    return new Response(JSON.stringify({ error: 'session_secret_missing' }), { 
+      status: 500,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+    });
+  }
+  return new Response(JSON.stringify({ error: 'unauthorized', reason }), { 
+    status: 401,
+    headers: Object.assign({ 'Content-Type': 'application/json', 'WWW-Authenticate': 'Bearer' }, corsHeaders) 
+  });
+}
+
+// Rebuilds the request with playerId taken from the session: set in the
+// query string and in JSON bodies, or removed when there is no session.
+// Account holders also get their username as the display name.
+async function withSessionIdentity(request, { playerId = null, username = null } = {}, { playerIdFilter = false } = {}) {
+  const url = new URL(request.url);
+  url.searchParams.delete('token');
+  // On playerIdFilter routes ?playerId= names whose games to search, not who is asking.
+  if (!playerIdFilter) {
+    if (playerId) url.searchParams.set('playerId', playerId);
+    else url.searchParams.delete('playerId');
+  }
+  if (username && url.searchParams.has('name')) url.searchParams.set('name', username);
+  // Room creation names its creator in creatorName; a tournament's name is its own.
+  const nameField = url.pathname === '/rooms' ? 'creatorName' : (url.pathname === '/tournaments' ? null : 'name');
+
+  if (request.method !== 'POST') return new Request(url.toString(), request);
+
+  const text = await request.text();
+  let body = text;
+  try {
+    const parsed = text ? JSON.parse(text) : {};
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+      if (playerId) parsed.playerId = playerId;
+      else delete parsed.playerId;
+      if (username && nameField) parsed[nameField] = username;
+      body = JSON.stringify(parsed);
+    }
+  } catch (e) {}
+  return new Request(url.toString(), { method: 'POST', headers: request.headers, body });
+}
+
+// Request schemas, in the subset of JSON Schema that validateSchema checks:
+// type, properties, required, items, maxItems, enum, minimum, maximum,
+// minLength, maxLength, pattern and format. API_ROUTES feeds both the
+// central validation in the router and /openapi.json.
+const TIME_CONTROL_LIMITS = {
+  mainTimeMs: { minimum: 30 * 1000, maximum: 3 * 60 * 60 * 1000 },
+  incrementMs: { minimum: 0, maximum: 60 * 1000 },
+  delayMs: { minimum: 0, maximum: 60 * 1000 }
+};
+
+// A client-supplied queue skill only counts for players with no stored rating.
+const SUPPLIED_SKILL_LIMITS = { minimum: 0, maximum: 4000 };
+
+const FIELDS = {
+  id: { type: 'string', minLength: 1, maxLength: 128 },
+  name: { type: 'string', minLength: 1, maxLength: 40 },
+  reason: { type: 'string', minLength: 1, maxLength: 500 },
+  timeControl: { type: 'string', format: 'time-control', description: 'Minutes, then an optional +increment and d delay in seconds: "5+0", "3+2", "5d2".' },
+  mainTimeMs: { type: 'integer', ...TIME_CONTROL_LIMITS.mainTimeMs },
+  incrementMs: { type: 'integer', ...TIME_CONTROL_LIMITS.incrementMs },
+  delayMs: { type: 'integer', ...TIME_CONTROL_LIMITS.delayMs },
+  phaseMs: { type: 'integer', minimum: 5000, maximum: 5 * 60 * 1000 },
+  limit: { type: 'integer', minimum: 1, maximum: 100 },
+  cursor: { type: 'string', maxLength: 200 },
+  hostToken: { type: 'string', minLength: 1, maxLength: 100 },
+  skill: { type: 'number', ...SUPPLIED_SKILL_LIMITS }
+};
+
+const TIME_CONTROL_FIELDS = {
+  timeControl: FIELDS.timeControl,
+  mainTimeMs: FIELDS.mainTimeMs,
+  incrementMs: FIELDS.incrementMs,
+  delayMs: FIELDS.delayMs
+};
+
+function objectSchema(properties = {}, required = []) {
+  return { type: 'object', properties, required };
+}
+
+// auth is 'none', 'session' or 'admin'. Every POST body is reduced to the
+// declared properties before it reaches a handler; playerId is then filled
+// in from the session. playerIdFilter marks routes where ?playerId= is a
+// search filter rather than the caller's identity.
+const API_ROUTES = [
+  { method: 'POST', path: '/session', auth: 'none', summary: 'Start a guest session or refresh the current one', body: objectSchema() },
+  {
+    method: 'POST', path: '/accounts/register', auth: 'none', summary: 'Register an account, optionally keeping the current guest playerId',
+    body: objectSchema({
+      username: { type: 'string', pattern: ACCOUNTS.usernamePattern.source },
+      password: { type: 'string', minLength: ACCOUNTS.minPasswordLength, maxLength: ACCOUNTS.maxPasswordLength },
+      claimGuest: { type: 'boolean' }
+    }, ['username', 'password'])
+  },
+  {
+    method: 'POST', path: '/accounts/login', auth: 'none', summary: 'Log in and receive a session token',
+    body: objectSchema({ username: { type: 'string', maxLength: 40 }, password: { type: 'string', maxLength: ACCOUNTS.maxPasswordLength } }, ['username', 'password'])
+  },
+  { method: 'POST', path: '/accounts/logout', auth: 'session', summary: 'End every session of the account', body: objectSchema() },
+  {
+    method: 'POST', path: '/accounts/password', auth: 'session', summary: 'Change the account password',
+    body: objectSchema({
+      currentPassword: { type: 'string', maxLength: ACCOUNTS.maxPasswordLength },
+      newPassword: { type: 'string', minLength: ACCOUNTS.minPasswordLength, maxLength: ACCOUNTS.maxPasswordLength }
+    }, ['currentPassword', 'newPassword'])
+  },
+
+  { method: 'GET', path: '/metrics', auth: 'admin', summary: 'Prometheus metrics' },
+  { method: 'GET', path: '/admin/audit', auth: 'admin', summary: 'Admin audit log, newest first', query: objectSchema({ limit: FIELDS.limit, cursor: FIELDS.cursor }) },
+  { method: 'GET', path: '/admin/rooms', auth: 'admin', summary: 'Every indexed room' },
+  { method: 'POST', path: '/admin/rooms/clear-all', auth: 'admin', summary: 'Delete every room', body: objectSchema({ reason: FIELDS.reason }) },
+  { method: 'POST', path: '/admin/rooms/clear-all-and-queues', auth: 'admin', summary: 'Delete every room and empty every queue', body: objectSchema({ reason: FIELDS.reason }) },
+  { method: 'GET', path: '/admin/rooms/:roomId', auth: 'admin', summary: 'Full, unprojected room state' },
+  {
+    method: 'POST', path: '/admin/rooms/:roomId/finish', auth: 'admin', summary: 'Decide a game in progress; omit winnerId for a draw',
+    body: objectSchema({ winnerId: FIELDS.id, reason: FIELDS.reason }, ['reason'])
+  },
+  { method: 'POST', path: '/admin/rooms/:roomId/abort', auth: 'admin', summary: 'End a room without a result', body: objectSchema({ reason: FIELDS.reason }, ['reason']) },
+  {
+    method: 'POST', path: '/admin/rooms/:roomId/kick', auth: 'admin', summary: 'Remove a player from a lobby',
+    body: objectSchema({ targetPlayerId: FIELDS.id, reason: FIELDS.reason }, ['targetPlayerId'])
+  },
+  { method: 'GET', path: '/admin/queues', auth: 'admin', summary: 'Every queue' },
+  { method: 'GET', path: '/admin/queues/estimates', auth: 'admin', summary: 'Queue wait estimates with debug detail' },
+  { method: 'POST', path: '/admin/queues/clear-all', auth: 'admin', summary: 'Empty every queue', body: objectSchema({ reason: FIELDS.reason }) },
+  { method: 'POST', path: '/admin/queues/:timeControl/drain', auth: 'admin', summary: 'Empty one queue and tell its players', body: objectSchema({ reason: FIELDS.reason }) },
+
+  {
+    method: 'POST', path: '/rooms', auth: 'session', summary: 'Create a room',
+    body: objectSchema({
+      roomId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,128}$' },
+      maxPlayers: { type: 'integer', enum: [2] },
+      bidDurationMs: FIELDS.phaseMs,
+      revealDurationMs: FIELDS.phaseMs,
+      choiceDurationMs: FIELDS.phaseMs,
+      ...TIME_CONTROL_FIELDS,
+      private: { type: 'boolean' },
+      drawOddsEnabled: { type: 'boolean' },
+      spectatorDelayMs: { type: 'integer', minimum: 0, maximum: 5 * 60 * 1000 },
+      match: objectSchema({ games: { type: 'integer', minimum: 1, maximum: 15 }, breakMs: { type: 'integer', minimum: 0, maximum: 10 * 60 * 1000 }, ...TIME_CONTROL_FIELDS }, ['games']),
+      password: { type: 'string', minLength: 1, maxLength: 128 },
+      inviteTtlMs: { type: 'integer', minimum: INVITES.minTtlMs, maximum: INVITES.maxTtlMs },
+      chatAudience: { type: 'string', enum: CHAT.audiences },
+      chatFilter: { type: 'array', maxItems: 100, items: { type: 'string', minLength: 1, maxLength: 40 } }
+    })
+  },
+  { method: 'POST', path: '/rooms/join-next', auth: 'session', summary: 'Join the oldest open room for a time control', body: objectSchema({ name: FIELDS.name, ...TIME_CONTROL_FIELDS }) },
+  { method: 'GET', path: '/rooms/available-count', auth: 'none', summary: 'Number of open rooms' },
+  { method: 'GET', path: '/rooms/:roomId', auth: 'none', summary: 'Room state as seen by the caller', query: objectSchema({ shareToken: FIELDS.id }) },
+  {
+    method: 'GET', path: '/rooms/:roomId/ws', auth: 'session', websocket: 'room', summary: 'Room socket; spectators need no session',
+    query: objectSchema({ spectate: { type: 'string', enum: ['1'] }, shareToken: FIELDS.id, name: FIELDS.name, token: { type: 'string', maxLength: 1000 } })
+  },
+  { method: 'POST', path: '/rooms/:roomId/invites', auth: 'session', summary: 'Create an invite for a private room', body: objectSchema({ hostToken: FIELDS.hostToken, ttlMs: { type: 'integer', minimum: INVITES.minTtlMs, maximum: INVITES.maxTtlMs } }, ['hostToken']) },
+  { method: 'GET', path: '/rooms/:roomId/invites', auth: 'none', summary: 'List a private room\'s invites', query: objectSchema({ hostToken: FIELDS.hostToken }, ['hostToken']) },
+  { method: 'POST', path: '/rooms/:roomId/invites/:code/revoke', auth: 'session', summary: 'Revoke an invite', body: objectSchema({ hostToken: FIELDS.hostToken }, ['hostToken']) },
+  {
+    method: 'POST', path: '/rooms/:roomId/join', auth: 'session', summary: 'Take a seat in the lobby',
+    body: objectSchema({ name: FIELDS.name, password: { type: 'string', maxLength: 128 }, inviteCode: { type: 'string', maxLength: 20 }, inviteToken: FIELDS.id, hostToken: FIELDS.hostToken })
+  },
+  { method: 'POST', path: '/rooms/:roomId/start-bidding', auth: 'session', summary: 'Request or confirm the start of bidding', body: objectSchema() },
+  { method: 'POST', path: '/rooms/:roomId/submit-bid', auth: 'session', summary: 'Commit to a bid: SHA-256 hex of "<amount>:<salt>"', body: objectSchema({ commitment: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' } }, ['commitment']) },
+  {
+    method: 'POST', path: '/rooms/:roomId/reveal-bid', auth: 'session', summary: 'Reveal a committed bid',
+    body: objectSchema({ amount: { type: 'number' }, salt: { type: 'string', minLength: 1, maxLength: 128 } }, ['amount', 'salt'])
+  },
+  { method: 'POST', path: '/rooms/:roomId/choose-color', auth: 'session', summary: 'Bid winner picks a color', body: objectSchema({ color: { type: 'string', enum: ['white', 'black'] } }, ['color']) },
+  { method: 'POST', path: '/rooms/:roomId/resign', auth: 'session', summary: 'Resign the game', body: objectSchema() },
+  { method: 'POST', path: '/rooms/:roomId/move', auth: 'session', summary: 'Play a move in UCI notation', body: objectSchema({ move: { type: 'string', pattern: '^[a-h][1-8][a-h][1-8][qrbn]?$' } }, ['move']) },
+  { method: 'POST', path: '/rooms/:roomId/time-forfeit', auth: 'session', summary: 'Claim a win on time', body: objectSchema({ timedOutPlayerId: FIELDS.id }, ['timedOutPlayerId']) },
+  { method: 'POST', path: '/rooms/:roomId/rematch', auth: 'session', summary: 'Vote on a rematch', body: objectSchema({ agree: { type: 'boolean' } }) },
+  { method: 'POST', path: '/rooms/:roomId/leave', auth: 'session', summary: 'Leave the room', body: objectSchema() },
+  { method: 'POST', path: '/rooms/:roomId/heartbeat', auth: 'session', summary: 'Keep the room alive', body: objectSchema() },
+  { method: 'GET', path: '/invite/:code', auth: 'none', summary: 'Resolve an invite code to its room' },
+
+  { method: 'POST', path: '/queue/joinAll', auth: 'session', summary: 'Join every time-control queue', body: objectSchema({ name: FIELDS.name, skill: FIELDS.skill }) },
+  { method: 'POST', path: '/queue/join', auth: 'session', summary: 'Join one time-control queue', body: objectSchema({ name: FIELDS.name, skill: FIELDS.skill, ...TIME_CONTROL_FIELDS }) },
+  { method: 'POST', path: '/queue/leave', auth: 'session', summary: 'Leave every queue', body: objectSchema() },
+  {
+    method: 'POST', path: '/queue/updateClocks', auth: 'session', summary: 'Refresh the clocks shown in the room list',
+    body: objectSchema({
+      roomId: FIELDS.id,
+      clocks: objectSchema({
+        whiteRemainingMs: { type: 'integer', minimum: 0 },
+        blackRemainingMs: { type: 'integer', minimum: 0 },
+        lastTickAt: { type: 'integer', minimum: 0 },
+        turn: { type: 'string', enum: ['white', 'black'] },
+        incrementMs: FIELDS.incrementMs,
+        delayMs: FIELDS.delayMs
+      })
+    }, ['roomId', 'clocks'])
+  },
+  { method: 'POST', path: '/queue/checkMatch', auth: 'session', summary: 'Check whether the caller has been matched', body: objectSchema() },
+  { method: 'POST', path: '/queue/heartbeat', auth: 'session', summary: 'Stay in the queue', body: objectSchema() },
+  { method: 'GET', path: '/queue/ws', auth: 'none', websocket: 'lobby', summary: 'Lobby socket for queue and challenge updates' },
+  { method: 'GET', path: '/queue/status', auth: 'none', summary: 'Queue sizes, wait estimates and skill windows' },
+
+  { method: 'GET', path: '/challenges', auth: 'session', summary: 'The caller\'s incoming and outgoing challenges' },
+  {
+    method: 'POST', path: '/challenges', auth: 'session', summary: 'Challenge another player',
+    body: objectSchema({
+      toPlayerId: FIELDS.id,
+      name: FIELDS.name,
+      ...TIME_CONTROL_FIELDS,
+      bidDurationMs: { type: 'integer', minimum: CHALLENGES.minDurationMs, maximum: CHALLENGES.maxDurationMs },
+      choiceDurationMs: { type: 'integer', minimum: CHALLENGES.minDurationMs, maximum: CHALLENGES.maxDurationMs }
+    }, ['toPlayerId'])
+  },
+  { method: 'POST', path: '/challenges/:challengeId/accept', auth: 'session', summary: 'Accept a challenge', body: objectSchema({ name: FIELDS.name }) },
+  { method: 'POST', path: '/challenges/:challengeId/decline', auth: 'session', summary: 'Decline a challenge', body: objectSchema() },
+  { method: 'POST', path: '/challenges/:challengeId/cancel', auth: 'session', summary: 'Withdraw a challenge', body: objectSchema() },
+  {
+    method: 'POST', path: '/challenges/:challengeId/counter', auth: 'session', summary: 'Answer a challenge with different terms',
+    body: objectSchema({
+      name: FIELDS.name,
+      ...TIME_CONTROL_FIELDS,
+      bidDurationMs: { type: 'integer', minimum: CHALLENGES.minDurationMs, maximum: CHALLENGES.maxDurationMs },
+      choiceDurationMs: { type: 'integer', minimum: CHALLENGES.minDurationMs, maximum: CHALLENGES.maxDurationMs }
+    })
+  },
+
+  {
+    method: 'POST', path: '/tournaments', auth: 'session', summary: 'Create a tournament; the caller organizes it',
+    body: objectSchema({
+      name: { type: 'string', minLength: 1, maxLength: 80 },
+      format: { type: 'string', enum: TOURNAMENT_FORMATS },
+      ...TIME_CONTROL_FIELDS,
+      rounds: { type: 'integer', minimum: 1, maximum: 30 },
+      maxPlayers: { type: 'integer', minimum: 2, maximum: 256 }
+    }, ['format'])
+  },
+  { method: 'GET', path: '/tournaments/:tournamentId', auth: 'none', summary: 'Tournament state, pairings and standings' },
+  { method: 'GET', path: '/tournaments/:tournamentId/ws', auth: 'none', websocket: 'tournament', summary: 'Tournament updates' },
+  { method: 'POST', path: '/tournaments/:tournamentId/register', auth: 'session', summary: 'Register for a tournament', body: objectSchema({ name: FIELDS.name }) },
+  { method: 'POST', path: '/tournaments/:tournamentId/withdraw', auth: 'session', summary: 'Withdraw from a tournament', body: objectSchema() },
+  { method: 'POST', path: '/tournaments/:tournamentId/start', auth: 'session', summary: 'Start the tournament (organizer only)', body: objectSchema() },
+  {
+    method: 'POST', path: '/tournaments/:tournamentId/result', auth: 'session', summary: 'Set a board result (organizer only)',
+    body: objectSchema({ round: { type: 'integer', minimum: 1 }, board: { type: 'integer', minimum: 1 }, winnerId: FIELDS.id, draw: { type: 'boolean' } }, ['round', 'board'])
+  },
+
+  {
+    method: 'GET', path: '/leaderboard', auth: 'none', summary: 'Ranked players for a time control',
+    query: objectSchema({
+      timeControl: FIELDS.timeControl,
+      by: { type: 'string', enum: LEADERBOARD.sorts },
+      period: { type: 'string', enum: LEADERBOARD.periods },
+      minGames: { type: 'integer', minimum: 0 },
+      limit: FIELDS.limit,
+      offset: { type: 'integer', minimum: 0 }
+    }, ['timeControl'])
+  },
+  {
+    method: 'GET', path: '/games', auth: 'none', playerIdFilter: true, summary: 'Search archived games, newest first',
+    query: objectSchema({
+      playerId: FIELDS.id,
+      timeControl: FIELDS.timeControl,
+      result: { type: 'string', maxLength: 40 },
+      from: { type: 'string', maxLength: 40 },
+      to: { type: 'string', maxLength: 40 },
+      cursor: FIELDS.cursor,
+      limit: FIELDS.limit
+    })
+  },
+  { method: 'GET', path: '/games/:gameId', auth: 'none', summary: 'One archived game with its moves' },
+  { method: 'GET', path: '/players/:playerId', auth: 'none', summary: 'Player profile' },
+  {
+    method: 'GET', path: '/players/:playerId/games', auth: 'none', summary: 'A player\'s game history, newest first',
+    query: objectSchema({ limit: FIELDS.limit, cursor: FIELDS.cursor, timeControl: FIELDS.timeControl, result: { type: 'string', enum: ['win', 'loss', 'draw'] } })
+  },
+  { method: 'GET', path: '/players/:playerId/ratings', auth: 'none', summary: 'A player\'s ratings per time control' },
+  { method: 'GET', path: '/openapi.json', auth: 'none', summary: 'This API description' }
+];
+
+// Messages accepted on each kind of socket, keyed by `type`. Room messages
+// take the same fields as the matching HTTP routes.
+const SOCKET_SCHEMAS = {
+  room: {
+    submitBid: objectSchema({ commitment: { type: 'string', pattern: '^[0-9a-fA-F]{64}$' } }, ['commitment']),
+    revealBid: objectSchema({ amount: { type: 'number' }, salt: { type: 'string', minLength: 1, maxLength: 128 } }, ['amount', 'salt']),
+    chooseColor: objectSchema({ color: { type: 'string', enum: ['white', 'black'] } }, ['color']),
+    move: objectSchema({ move: { type: 'string', pattern: '^[a-h][1-8][a-h][1-8][qrbn]?$' } }, ['move']),
+    resign: objectSchema(),
+    rematch: objectSchema({ agree: { type: 'boolean' } }),
+    heartbeat: objectSchema(),
+    chat: objectSchema({ text: { type: 'string', minLength: 1, maxLength: CHAT.maxLength } }, ['text']),
+    mute: objectSchema({ target: FIELDS.id, muted: { type: 'boolean' } }, ['target']),
+    chatSettings: objectSchema({ audience: { type: 'string', enum: CHAT.audiences } }, ['audience'])
+  },
+  lobby: { status: objectSchema() },
+  tournament: { status: objectSchema() }
+};
+
+function fieldPath(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+function checkFormat(format, value) {
+  if (format === 'time-control') {
+    const control = parseTimeControl(value);
+    if (!control) return 'must be a time control such as "5+0" or "3+2"';
+    for (const [field, { minimum, maximum }] of Object.entries(TIME_CONTROL_LIMITS)) {
+      if (control[field] < minimum || control[field] > maximum) return `${field} must be between ${minimum} and ${maximum}`;
+    }
+  }
+  return null;
+}
+
+// Checks value against schema, pushing { field, message } onto errors.
+// Returns the value with undeclared object properties dropped.
+export function validateSchema(schema, value, errors, field = '') {
+  const fail = message => { errors.push({ field: field || 'body', message }); };
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      const clean = {};
+      for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) errors.push({ field: fieldPath(field, name), message: 'is required' });
+      }
+      for (const [name, property] of Object.entries(schema.properties || {})) {
+        if (value[name] === undefined || value[name] === null) continue;
+        clean[name] = validateSchema(property, value[name], errors, fieldPath(field, name));
+      }
+      return clean;
+    }
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) return fail(`must have at most ${schema.maxItems} items`);
+      return value.map((item, i) => validateSchema(schema.items, item, errors, `${field}[${i}]`));
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (schema.minLength !== undefined && value.length < schema.minLength) return fail(`must be at least ${schema.minLength} characters`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) return fail(`must be at most ${schema.maxLength} characters`);
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(`must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`);
+      if (schema.type === 'integer' && !Number.isInteger(value)) return fail('must be an integer');
+      if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('must be true or false');
+      break;
+  }
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+  if (schema.format) {
+    const message = checkFormat(schema.format, value);
+    if (message) return fail(message);
+  }
+  return value;
+}
+
+function matchApiRoute(method, pathname, websocket) {
+  const segments = pathname.replace(/(^\/|\/$)/g, '').split('/');
+  return API_ROUTES.find(route => {
+    if (route.method !== method || !!route.websocket !== websocket) return false;
+    const parts = route.path.slice(1).split('/');
+    return parts.length === segments.length && parts.every((part, i) => part.startsWith(':') || part === segments[i]);
+  }) || null;
+}
+
+// Query strings arrive as text, so declared integer and boolean parameters
+// are converted before they are checked.
+export function queryValues(schema, searchParams) {
+  const values = {};
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (!searchParams.has(name)) continue;
+    const raw = searchParams.get(name);
+    if (property.type === 'integer' || property.type === 'number') values[name] = /^-?\d+(\.\d+)?$/.test(raw) ? Number(raw) : raw;
+    else if (property.type === 'boolean') values[name] = raw === 'true' ? true : raw === 'false' ? false : raw;
+    else values[name] = raw;
+  }
+  return values;
+}
+
+function validationError(fields, corsHeaders) {
+  return new Response(JSON.stringify({ error: 'invalid_request', fields }), { 
+    status: 400,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+  });
+}
+
+// Checks the request against its route's schemas. Returns { errors } or
+// { request }, where a JSON body has been cut down to its declared fields.
+async function validateRequest(request, route) {
+  const url = new URL(request.url);
+  const errors = [];
+  if (route.query) validateSchema(route.query, queryValues(route.query, url.searchParams), errors);
+  if (!route.body || request.method !== 'POST') return errors.length ? { errors } : { request };
+
+  const text = await request.text();
+  let body = {};
+  if (text.trim()) {
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      return { errors: [{ field: 'body', message: 'must be valid JSON' }] };
+    }
+  }
+  const clean = validateSchema(route.body, body, errors);
+  if (errors.length) return { errors };
+  return { request: new Request(request.url, { method: 'POST', headers: request.headers, body: JSON.stringify(clean) }) };
+}
+
+// Parses and checks one socket message. Returns { type, id, payload } or
+// { error, id, fields } for the caller to send back.
+export function validateSocketMessage(channel, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch (e) {
+    return { error: 'invalid_json', id: null };
+  }
+  const { type, id = null, ...payload } = msg || {};
+  const schema = SOCKET_SCHEMAS[channel][type];
+  if (!schema) return { error: 'unknown_message_type', id, type };
+  const errors = [];
+  const clean = validateSchema(schema, payload, errors);
+  if (errors.length) return { error: 'invalid_request', id, type, fields: errors };
+  return { type, id, payload: clean };
+}
+
+function openApiDocument(origin) {
+  const paths = {};
+  for (const route of API_ROUTES) {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    const parameters = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+    for (const [name, schema] of Object.entries(route.query?.properties || {})) {
+      parameters.push({ name, in: 'query', required: (route.query.required || []).includes(name), schema });
+    }
+    const operation = {
+      summary: route.summary,
+      parameters,
+      responses: {
+        [route.websocket ? '101' : '200']: { description: route.websocket ? 'Switching to a WebSocket' : 'Success' },
+        400: { description: 'Invalid request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } }
+      }
+    };
+    if (route.auth === 'session') {
+      operation.security = [{ session: [] }];
+      operation.responses[401] = { description: 'Missing, invalid, expired or revoked session' };
+    }
+    if (route.auth === 'admin') {
+      operation.security = [{ adminToken: [] }];
+      operation.responses[401] = { description: 'Missing or wrong admin token' };
+    }
+    if (route.body) operation.requestBody = { required: true, content: { 'application/json': { schema: route.body } } };
+    if (route.websocket) {
+      operation['x-websocket-messages'] = Object.keys(SOCKET_SCHEMAS[route.websocket])
+        .map(type => ({ $ref: `#/components/schemas/${route.websocket}Socket_${type}` }));
+    }
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operation;
+  }
+
+  const schemas = {
+    ValidationError: objectSchema({
+      error: { type: 'string', enum: ['invalid_request'] },
+      fields: { type: 'array', items: objectSchema({ field: { type: 'string' }, message: { type: 'string' } }) }
+    })
+  };
+  for (const [channel, messages] of Object.entries(SOCKET_SCHEMAS)) {
+    for (const [type, schema] of Object.entries(messages)) {
+      schemas[`${channel}Socket_${type}`] = {
+        ...schema,
+        properties: { type: { type: 'string', enum: [type] }, id: { description: 'Echoed back in the reply' }, ...schema.properties },
+        required: ['type', ...(schema.required || [])]
+      };
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title: 'Armageddon Chess API', version: '1.0.0' },
+    servers: [{ url: origin }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        session: { type: 'http', scheme: 'bearer', description: 'Token from /session or /accounts/login; sockets pass ?token=' },
+        adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' }
+      }
+    }
+  };
+}
+
+// Skill window for queue pairing: ±100 to start, widening by 50 for every
+// 10 seconds spent waiting, up to ±800.
+const MATCH_WINDOW = { baseSkill: 100, growthPerStep: 50, stepMs: 10000, maxSkill: 800 };
+
+export function matchWindow(waitedMs) {
+  const steps = Math.floor(Math.max(0, waitedMs) / MATCH_WINDOW.stepMs);
+  return Math.min(MATCH_WINDOW.maxSkill, MATCH_WINDOW.baseSkill + steps * MATCH_WINDOW.growthPerStep);
+}
+
+function validSkill(skill) {
+  return typeof skill === 'number' && Number.isFinite(skill)
+    && skill >= SUPPLIED_SKILL_LIMITS.minimum && skill <= SUPPLIED_SKILL_LIMITS.maximum;
+}
+
+// Scalable time controls configuration (matches frontend)
+// Keys are "<minutes>+<increment seconds>" for Fischer increment and
+// "<minutes>d<delay seconds>" for Bronstein delay; queues are keyed by them.
+const TIME_CONTROLS = [
+  { key: '5+0', minutes: 5, ms: 300000, incrementMs: 0, delayMs: 0, display: '5 min' },
+  { key: '10+0', minutes: 10, ms: 600000, incrementMs: 0, delayMs: 0, display: '10 min' },
+  { key: '15+0', minutes: 15, ms: 900000, incrementMs: 0, delayMs: 0, display: '15 min' },
+  { key: '3+2', minutes: 3, ms: 180000, incrementMs: 2000, delayMs: 0, display: '3 | 2' },
+  // Easy to add more time controls:
+  // { key: '5+3', minutes: 5, ms: 300000, incrementMs: 3000, delayMs: 0, display: '5 | 3' },
+  // { key: '5d2', minutes: 5, ms: 300000, incrementMs: 0, delayMs: 2000, display: '5 d2' },
+];
+
+export function timeControlKey({ mainTimeMs, incrementMs = 0, delayMs = 0 }) {
+  const base = `${mainTimeMs / 60000}`;
+  if (delayMs && !incrementMs) return `${base}d${delayMs / 1000}`;
+  return `${base}+${incrementMs / 1000}` + (delayMs ? `d${delayMs / 1000}` : '');
+}
+
+// Parses "5+3", "5d2", "5+3d2" or a bare "5"; returns null for anything else.
+// An unencoded "+" in a query string arrives as a space, so "5 3" reads as "5+3".
+export function parseTimeControl(value) {
+  const text = String(value ?? '').trim().replace(/ /g, '+');
+  const match = /^(\d+(?:\.\d+)?)(?:\+(\d+(?:\.\d+)?))?(?:d(\d+(?:\.\d+)?))?$/.exec(text);
+  if (!match) return null;
+  const control = {
+    mainTimeMs: Math.round(Number(match[1]) * 60000),
+    incrementMs: match[2] ? Math.round(Number(match[2]) * 1000) : 0,
+    delayMs: match[3] ? Math.round(Number(match[3]) * 1000) : 0
+  };
+  if (control.mainTimeMs <= 0) return null;
+  return { key: timeControlKey(control), ...control };
+}
+
+// Accepts a `timeControl` key or the older mainTimeMs/incrementMs/delayMs fields.
+export function resolveTimeControl(body) {
+  if (body?.timeControl) return parseTimeControl(body.timeControl);
+  if (typeof body?.mainTimeMs !== 'number' || body.mainTimeMs <= 0) return null;
+  const control = {
+    mainTimeMs: body.mainTimeMs,
+    incrementMs: body.incrementMs || 0,
+    delayMs: body.delayMs || 0
+  };
+  return { key: timeControlKey(control), ...control };
+}
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Clients must commit with the same formula and a random salt of their own.
+export function bidCommitment(amount, salt) {
+  return sha256Hex(`${amount}:${salt}`);
+}
+
+function roomTimeControlKey(room) {
+  if (room.timeControl) return room.timeControl;
+  return typeof room.mainTimeMs === 'number' ? timeControlKey({ mainTimeMs: room.mainTimeMs }) : null;
+}
+
+// Creates the room for a queue pairing. RoomIndex has already taken both
+// players out of every queue; they go back in if the room cannot be made.
+// Returns the new roomId and the room's init response.
+async function createRoomFromQueue(env, ctx, idxObj, match) {
+  const roomId = `room-${crypto.randomUUID()}`;
+  const roomObj = env.GAME_ROOMS.get(env.GAME_ROOMS.idFromName(roomId));
+  const initResponse = await roomObj.fetch(new Request('https://do/initRoom', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      roomId,
+      private: false,
+      timeControl: match.timeControl,
+      queuedPlayers: match.queuedPlayers
+    })
+  }));
+  const initResult = await initResponse.json().catch(() => ({}));
+  if (!initResult.ok) {
+    await idxObj.fetch(new Request('https://do/returnToQueue', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ timeControl: match.timeControl, queuedPlayers: match.queuedPlayers })
+    }));
+    return { roomId, initResult };
+  }
+
+  const now = Date.now();
+  const waits = match.queuedPlayers.filter(p => p.joinedAt).map(p => (now - p.joinedAt) / 1000);
+  ctx.waitUntil(recordMetrics(env, { observations: waits.map(w => ['queue_wait_seconds', { time_control: match.timeControl }, w]) }));
+  log('info', 'queue_room_created', { roomId, timeControl: match.timeControl, playerIds: match.queuedPlayers.map(p => p.playerId) });
+  return { roomId, initResult };
+}
+
+export default {
+  // Gives each request an id, logs it once it is answered and echoes the id
+  // back in X-Request-Id.
+  async fetch(request, env, ctx) {
+    const trace = { requestId: request.headers.get('X-Request-Id') || crypto.randomUUID(), playerId: null };
+    const startedAt = Date.now();
+    const url = new URL(request.url);
+    const segments = url.pathname.replace(/(^\/|\/$)/g, '').split('/');
+    const response = await router.fetch(request, instrumentEnv(env, trace.requestId), ctx, trace);
+
+    log(response.status >= 500 ? 'error' : 'info', 'request', {
+      requestId: trace.requestId,
+      method: request.method,
+      path: url.pathname,
+      status: response.status,
+      durationMs: Date.now() - startedAt,
+      roomId: segments[0] === 'rooms' && segments[1] ? segments[1] : null,
+      playerId: trace.playerId
+    });
+    if (response.status === 101) return response;
+    const headers = new Headers(response.headers);
+    headers.set('X-Request-Id', trace.requestId);
+    return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+  }
+};
+
+const router = {
+  async fetch(request, env, ctx, trace) {
+    const url = new URL(request.url);
+    const segments = url.pathname.replace(/(^\/|\/$)/g, '').split('/');
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': env && env.FRONTEND_URL ? env.FRONTEND_URL : '*',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Token, X-Request-Id',
+      'Access-Control-Expose-Headers': 'X-Request-Id',
+    };
+    if (request.method === 'OPTIONS') return new Response(null, { status: 204, headers: corsHeaders });
+
+    // From here on the acting player is whoever the session token names;
+    // playerId in the body or query string is overwritten or dropped.
+    const token = sessionTokenFrom(request, url);
+    const session = await verifySession(env, token);
+    const routePath = url.pathname.replace(/\/$/, '');
+    const needsSession = (request.method === 'POST' && !isAdminPath(routePath) && !AUTH_ROUTES.includes(routePath))
+      || (request.headers.get('Upgrade') === 'websocket' && segments[0] === 'rooms' && url.searchParams.get('spectate') !== '1');
+    // A token that is sent must verify even where none is needed. The admin
+    // token also travels as a bearer, and the auth routes replace stale ones.
+    const tokenSent = !!token && !isAdminPath(routePath) && routePath !== '/metrics' && !AUTH_ROUTES.includes(routePath)
+      && !isAdminRequest(request, env);
+    if (session.error === 'secret_missing' && (needsSession || AUTH_ROUTES.includes(routePath))) return sessionError(session.error, corsHeaders);
+    if ((needsSession || tokenSent) && session.error) return sessionError(session.error, corsHeaders);
+
+    if (request.method === 'GET' && routePath === '/openapi.json') {
+      return new Response(JSON.stringify(openApiDocument(url.origin)), { 
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    // Admin requests without a valid token are left for the 401 below.
+    const apiRoute = matchApiRoute(request.method, routePath, request.headers.get('Upgrade') === 'websocket');
+    if (apiRoute && (apiRoute.auth !== 'admin' || isAdminRequest(request, env))) {
+      const checked = await validateRequest(request, apiRoute);
+      if (checked.errors) return validationError(checked.errors, corsHeaders);
+      request = checked.request;
+    }
+    request = await withSessionIdentity(request, session, { playerIdFilter: !!apiRoute?.playerIdFilter });
+    trace.playerId = session.playerId || null;
+
+    const throttled = await enforceRateLimit(request, env, new URL(request.url), corsHeaders);
+    if (throttled) return throttled;
+
+    if (request.method === 'POST' && url.pathname === '/session') {
+      // Refreshes a valid session, or starts a new guest identity.
+      const playerId = session.playerId || `player-${crypto.randomUUID()}`;
+      const issued = await signSession(env, playerId, session.sessionVersion ?? null);
+      return new Response(JSON.stringify({ ok: true, playerId, username: session.username || null, ...issued }), { 
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (request.method === 'POST' && segments[0] === 'accounts' && ['register', 'login', 'logout', 'password'].includes(segments[1]) && segments.length === 2) {
+      if (!env.PLAYER_REGISTRY) {
+        return new Response(JSON.stringify({ error: 'no_player_registry' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      // register: { username, password, claimGuest } where claimGuest keeps
+      // the current guest session's playerId. login: { username, password }.
+      // password: { currentPassword, newPassword }.
+      const body = await request.json().catch(() => ({}));
+      if (segments[1] === 'register') {
+        if (body.claimGuest && !body.playerId) return sessionError(session.error, corsHeaders);
+        body.claimPlayerId = body.claimGuest ? body.playerId : null;
+      }
+      const registry = env.PLAYER_REGISTRY.get(env.PLAYER_REGISTRY.idFromName('registry'));
+      const res = await registry.fetch(new Request(`https://do/accounts/${segments[1]}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      }));
+      const data = await res.json();
+      // Account changes made here take effect in this isolate right away.
+      if (res.ok) sessionAccountCache.delete(data.playerId || body.playerId);
+      if (res.ok && data.sessionVersion) {
+        const issued = await signSession(env, data.playerId, data.sessionVersion);
+        delete data.sessionVersion;
+        Object.assign(data, issued);
+      }
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (segments[0] === 'admin' || (request.method === 'GET' && url.pathname === '/metrics')) {
+      if (!env.ADMIN_TOKEN) {
+        return new Response(JSON.stringify({ error: 'admin_disabled' }), { 
+          status: 503,
+          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+        });
+      }
+      if (!isAdminRequest(request, env)) {
+        return new Response(JSON.stringify({ error: 'unauthorized', reason: 'admin_token_required' }), { 
+          status: 401,
+          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+        });
+      }
+
+      if (url.pathname === '/metrics') {
+        if (!env.METRICS) {
+          return new Response(JSON.stringify({ error: 'no_metrics' }), { 
+            status: 500, 
+            headers: corsHeaders 
+          });
+        }
+        const res = await env.METRICS.get(env.METRICS.idFromName('metrics')).fetch(new Request('https://do/metrics'));
+        return new Response(await res.text(), { 
+          status: res.status,
+          headers: Object.assign({ 'Content-Type': res.headers.get('Content-Type') }, corsHeaders) 
+        });
+      }
+
+      const body = request.method === 'POST' ? await request.json().catch(() => ({})) : {};
+      let res;
+      try {
+        res = await handleAdminRequest(request, env, segments.slice(1), body);
+      } catch (e) {
+        res = new Response(JSON.stringify({ error: 'admin_action_failed', details: e.message }), { status: 500 });
+      }
+      const data = await res.json();
+
+      // Everything but reading the audit log itself is recorded, failures included.
+      if (!(request.method === 'GET' && segments[1] === 'audit') && env.ROOM_INDEX) {
+        const entry = {
+          id: crypto.randomUUID(),
+          at: Date.now(),
+          method: request.method,
+          path: url.pathname,
+          reason: body.reason || null,
+          params: Object.fromEntries(Object.entries(body).filter(([key]) => key !== 'reason')),
+          status: res.status,
+          error: data.error || null,
+          ip: request.headers.get('CF-Connecting-IP') || null
+        };
+        try {
+          const indexObj = env.ROOM_INDEX.get(env.ROOM_INDEX.idFromName('index'));
+          await indexObj.fetch(new Request('https://do/audit', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+          }));
+        } catch (e) {
+          log('error', 'audit_write_failed', { requestId: trace.requestId, error: e.message });
+        }
       }
+
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
     }
 
+    try {
     if (request.method === 'POST' && url.pathname === '/rooms') {
         const body = await request.json().catch(() => ({}));
         const roomId = body.roomId || `room-${crypto.randomUUID()}`;
@@ -1729,9 +5368,20 @@ export default {
             roomId,
             maxPlayers: body.maxPlayers,
             bidDurationMs: body.bidDurationMs,
+            revealDurationMs: body.revealDurationMs,
             choiceDurationMs: body.choiceDurationMs,
             mainTimeMs: body.mainTimeMs,
-            private: body.private || false
+            incrementMs: body.incrementMs,
+            delayMs: body.delayMs,
+            timeControl: body.timeControl,
+            private: body.private || false,
+            drawOddsEnabled: body.drawOddsEnabled,
+            spectatorDelayMs: body.spectatorDelayMs,
+            match: body.match,
+            password: body.password,
+            inviteTtlMs: body.inviteTtlMs,
+            chatAudience: body.chatAudience,
+            chatFilter: body.chatFilter
           }),
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1744,7 +5394,7 @@ export default {
       const body = await request.json().catch(() => ({}));
       const playerId = body.playerId;
       const name = body.name || null;
-      const mainTimeMs = body.mainTimeMs || 10 * 60 * 1000; // Default to 10 minutes
+      const control = resolveTimeControl(body) || parseTimeControl('10+0'); // Default to 10 minutes
       
       if (!env.ROOM_INDEX) {
         return new Response(JSON.stringify({ error: 'no_matchmaking' }), { 
@@ -1763,7 +5413,7 @@ export default {
         r.phase === 'LOBBY' && 
         (r.players?.length || 0) < 2 &&
         !r.private &&  // Exclude private rooms from quick match
-        r.mainTimeMs === mainTimeMs  // Match time control
+        roomTimeControlKey(r) === control.key  // Match time control
       );
       if (candidates.length === 0) {
         return new Response(JSON.stringify({ error: 'no_lobby_rooms' }), { 
@@ -1815,7 +5465,7 @@ export default {
     // Queue endpoints
     if (request.method === 'POST' && url.pathname === '/queue/joinAll') {
       const body = await request.json().catch(() => ({}));
-      const { playerId, name } = body;
+      const { playerId, name, skill } = body;
       
       if (!env.ROOM_INDEX) {
         return new Response(JSON.stringify({ error: 'no_queue_system' }), { 
@@ -1828,11 +5478,10 @@ export default {
       const idxId = env.ROOM_INDEX.idFromName('index');
       const idxObj = env.ROOM_INDEX.get(idxId);
       
-      const timeControls = [5 * 60 * 1000, 10 * 60 * 1000, 15 * 60 * 1000]; // 5, 10, 15 minutes
       let matchFound = false;
       let matchData = null;
       
-      for (const mainTimeMs of timeControls) {
+      for (const { key: timeControl } of TIME_CONTROLS) {
         if (matchFound) break;
         
         const joinReq = new Request('https://do/addToQueue', {
@@ -1841,7 +5490,8 @@ export default {
           body: JSON.stringify({ 
             playerId, 
             name, 
-            mainTimeMs
+            skill,
+            timeControl
           })
         });
         
@@ -1850,29 +5500,13 @@ export default {
         
         if (data.shouldCreateRoom && data.queuedPlayers && data.queuedPlayers.length >= 2) {
           matchFound = true;
-          matchData = { ...data, mainTimeMs };
+          matchData = data;
           break;
         }
       }
       
       if (matchFound) {
-        const roomId = `room-${crypto.randomUUID()}`;
-        const roomObjId = env.GAME_ROOMS.idFromName(roomId);
-        const roomObj = env.GAME_ROOMS.get(roomObjId);
-        
-        const initReq = new Request('https://do/initRoom', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            roomId,
-            private: false,
-            mainTimeMs: matchData.mainTimeMs,
-            queuedPlayers: matchData.queuedPlayers
-          })
-        });
-        
-        const initResponse = await roomObj.fetch(initReq);
-        const initResult = await initResponse.json();
+        const { roomId, initResult } = await createRoomFromQueue(env, ctx, idxObj, matchData);
         
         if (!initResult.ok) {
           return new Response(JSON.stringify({ 
@@ -1884,18 +5518,6 @@ export default {
           });
         }
         
-        const playerIdsToRemove = matchData.queuedPlayers.map(p => p.playerId);
-        
-        const removeReq = new Request('https://do/removeFromAllQueues', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ 
-            playerIds: playerIdsToRemove 
-          })
-        });
-        
-        await idxObj.fetch(removeReq);
-        
         return new Response(JSON.stringify({ 
           ok: true, 
           roomId, 
@@ -1908,7 +5530,7 @@ export default {
       return new Response(JSON.stringify({ 
         ok: true, 
         queued: true,
-        joinedQueues: [5, 10, 15]
+        joinedQueues: TIME_CONTROLS.map(tc => tc.key)
       }), { 
         headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
       });
@@ -1916,7 +5538,7 @@ export default {
 
     if (request.method === 'POST' && url.pathname === '/queue/join') {
       const body = await request.json().catch(() => ({}));
-      const { playerId, name, mainTimeMs } = body;
+      const { playerId, name, skill, timeControl, mainTimeMs, incrementMs, delayMs } = body;
       
       if (!env.ROOM_INDEX) {
         return new Response(JSON.stringify({ error: 'no_queue_system' }), { 
@@ -1932,50 +5554,21 @@ export default {
       const queueReq = new Request('https://do/addToQueue', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ playerId, name, mainTimeMs })
+        body: JSON.stringify({ playerId, name, skill, timeControl, mainTimeMs, incrementMs, delayMs })
       });
       
       const queueRes = await idxObj.fetch(queueReq);
       const queueData = await queueRes.json();
       
-      // Check if we should create a room (2 players in queue)
+      // Check if we should create a room (a pairing inside the skill window)
       if (queueData.shouldCreateRoom) {
-        // Create room directly using internal method
-        const roomId = `room-${crypto.randomUUID()}`;
-        const objId = env.GAME_ROOMS.idFromName(roomId);
-        const obj = env.GAME_ROOMS.get(objId);
-        
-        const createReq = new Request('https://do/initRoom', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ 
-            roomId,
-            private: false, 
-            mainTimeMs: queueData.mainTimeMs,
-            queuedPlayers: queueData.queuedPlayers
-          }),
-        });
-        
-        const createRes = await obj.fetch(createReq);
+        const { roomId, initResult } = await createRoomFromQueue(env, ctx, idxObj, queueData);
         
-        if (createRes.ok) {
-          const createData = await createRes.json();
-          const roomId = createData.roomId || createData.meta?.roomId;
-          
-          // Remove matched players from ALL queues
-          const removeReq = new Request('https://do/removeFromAllQueues', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-              playerIds: queueData.queuedPlayers.map(p => p.playerId) 
-            })
-          });
-          await idxObj.fetch(removeReq);
-          
+        if (initResult.ok) {
           return new Response(JSON.stringify({ 
             ok: true, 
             roomId,
-            room: createData.room || createData 
+            room: initResult.room || initResult 
           }), { 
             headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
           });
@@ -2019,31 +5612,6 @@ export default {
       });
     }
 
-    if (request.method === 'POST' && url.pathname === '/queue/clear-all-queues') {
-      if (!env.ROOM_INDEX) {
-        return new Response(JSON.stringify({ error: 'no_queue_system' }), {
-          status: 500,
-          headers: corsHeaders
-        });
-      }
-
-      const idxId = env.ROOM_INDEX.idFromName('index');
-      const idxObj = env.ROOM_INDEX.get(idxId);
-
-      const clearReq = new Request('https://do/clear-all-queues', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({})
-      });
-
-      const response = await idxObj.fetch(clearReq);
-      const data = await response.json();
-
-      return new Response(JSON.stringify(data), {
-        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders)
-      });
-    }
-
     if (request.method === 'POST' && url.pathname === '/queue/updateClocks') {
       if (!env.ROOM_INDEX) {
         return new Response(JSON.stringify({ error: 'no_queue_system' }), {
@@ -2067,76 +5635,6 @@ export default {
       });
     }
 
-    if (request.method === 'POST' && url.pathname === '/queue/debugEstimates') {
-      if (!env.ROOM_INDEX) {
-        return new Response(JSON.stringify({ error: 'no_queue_system' }), {
-          status: 500,
-          headers: corsHeaders
-        });
-      }
-
-      const idxId = env.ROOM_INDEX.idFromName('index');
-      const idxObj = env.ROOM_INDEX.get(idxId);
-
-      const debugReq = new Request('https://do/debugEstimates', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      });
-
-      const data = await idxObj.fetch(debugReq).then(r => r.json());
-      return new Response(JSON.stringify(data), {
-        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders)
-      });
-    }
-
-    if (request.method === 'POST' && url.pathname === '/queue/debugQueues') {
-      if (!env.ROOM_INDEX) {
-        return new Response(JSON.stringify({ error: 'no_queue_system' }), {
-          status: 500,
-          headers: corsHeaders
-        });
-      }
-
-      const idxId = env.ROOM_INDEX.idFromName('index');
-      const idxObj = env.ROOM_INDEX.get(idxId);
-
-      const debugReq = new Request('https://do/debugQueues', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      });
-
-      const response = await idxObj.fetch(debugReq);
-      const data = await response.json();
-
-      return new Response(JSON.stringify(data), {
-        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders)
-      });
-    }
-
-    if (request.method === 'POST' && url.pathname === '/queue/debugRooms') {
-      if (!env.ROOM_INDEX) {
-        return new Response(JSON.stringify({ error: 'no_queue_system' }), {
-          status: 500,
-          headers: corsHeaders
-        });
-      }
-
-      const idxId = env.ROOM_INDEX.idFromName('index');
-      const idxObj = env.ROOM_INDEX.get(idxId);
-
-      const debugReq = new Request('https://do/debugRooms', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' }
-      });
-
-      const response = await idxObj.fetch(debugReq);
-      const data = await response.json();
-
-      return new Response(JSON.stringify(data), {
-        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders)
-      });
-    }
-
     if (request.method === 'POST' && url.pathname === '/queue/checkMatch') {
       const body = await request.json().catch(() => ({}));
       const { playerId } = body;
@@ -2186,14 +5684,25 @@ export default {
         body: JSON.stringify({ playerId })
       });
       
-      await idxObj.fetch(heartbeatReq);
+      const heartbeatRes = await idxObj.fetch(heartbeatReq);
+      const heartbeatData = await heartbeatRes.json().catch(() => ({}));
+      
+      // A wider skill window may have produced a pairing since the last beat
+      if (heartbeatData.shouldCreateRoom) {
+        const { roomId, initResult } = await createRoomFromQueue(env, ctx, idxObj, heartbeatData);
+        if (initResult.ok) {
+          return new Response(JSON.stringify({ ok: true, matched: true, roomId }), { 
+            headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+          });
+        }
+      }
       
       return new Response(JSON.stringify({ ok: true }), { 
         headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
       });
     }
 
-    if (request.url.endsWith('/queue/ws') && request.headers.get('Upgrade') === 'websocket') {
+    if (url.pathname === '/queue/ws' && request.headers.get('Upgrade') === 'websocket') {
       if (!env.ROOM_INDEX) {
         return new Response(JSON.stringify({ error: 'no_queue_system' }), { 
           status: 500, 
@@ -2219,7 +5728,7 @@ export default {
       const idxObj = env.ROOM_INDEX.get(idxId);
       
       // Get queue status with estimated wait times
-      const statusReq = new Request('https://do/queue-status', {
+      const statusReq = new Request('https://do/queue-status' + url.search, {
         method: 'GET',
         headers: { 'Content-Type': 'application/json' }
       });
@@ -2232,6 +5741,231 @@ export default {
       });
     }
 
+    if (segments[0] === 'challenges') {
+      if (!env.ROOM_INDEX) {
+        return new Response(JSON.stringify({ error: 'no_room_index' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      // POST /challenges, GET /challenges?playerId=, POST /challenges/:id/(accept|decline|counter|cancel)
+      const idxObj = env.ROOM_INDEX.get(env.ROOM_INDEX.idFromName('index'));
+      let forward = null;
+      if (request.method === 'GET' && segments.length === 1) {
+        forward = new Request(`https://do/challenges${url.search}`);
+      } else if (request.method === 'POST' && segments.length === 1) {
+        forward = new Request('https://do/challenges/create', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: await request.text()
+        });
+      } else if (request.method === 'POST' && segments.length === 3 && ['accept', 'decline', 'counter', 'cancel'].includes(segments[2])) {
+        const body = await request.json().catch(() => ({}));
+        forward = new Request(`https://do/challenges/${segments[2]}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...body, challengeId: segments[1] })
+        });
+      }
+      if (forward) {
+        const res = await idxObj.fetch(forward);
+        const data = await res.json();
+        return new Response(JSON.stringify(data), { 
+          status: res.status,
+          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+        });
+      }
+    }
+
+    if (request.method === 'GET' && segments[0] === 'invite' && segments[1] && segments.length === 2) {
+      if (!env.ROOM_INDEX) {
+        return new Response(JSON.stringify({ error: 'no_room_index' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      const idxObj = env.ROOM_INDEX.get(env.ROOM_INDEX.idFromName('index'));
+      const code = decodeURIComponent(segments[1]);
+      const resolved = await idxObj.fetch(new Request(`https://do/invites/resolve?code=${encodeURIComponent(code)}`));
+      const resolvedData = await resolved.json();
+      if (!resolved.ok) {
+        return new Response(JSON.stringify(resolvedData), { 
+          status: resolved.status,
+          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+        });
+      }
+
+      const roomObj = env.GAME_ROOMS.get(env.GAME_ROOMS.idFromName(resolvedData.roomId));
+      const res = await roomObj.fetch(new Request(`https://do/inviteInfo?code=${encodeURIComponent(resolvedData.code)}`));
+      const data = await res.json();
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (segments[0] === 'tournaments') {
+      if (!env.TOURNAMENTS) {
+        return new Response(JSON.stringify({ error: 'no_tournaments' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      if (request.method === 'POST' && segments.length === 1) {
+        const body = await request.json().catch(() => ({}));
+        const tournamentId = `tournament-${crypto.randomUUID()}`;
+        const obj = env.TOURNAMENTS.get(env.TOURNAMENTS.idFromName(tournamentId));
+        const res = await obj.fetch(new Request('https://do/create', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            tournamentId,
+            name: body.name,
+            format: body.format,
+            timeControl: body.timeControl,
+            mainTimeMs: body.mainTimeMs,
+            incrementMs: body.incrementMs,
+            delayMs: body.delayMs,
+            rounds: body.rounds,
+            maxPlayers: body.maxPlayers,
+            organizerId: body.playerId
+          })
+        }));
+        const data = await res.json();
+        return new Response(JSON.stringify(res.ok ? { ok: true, tournamentId, tournament: data.tournament } : data), { 
+          status: res.status,
+          headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+        });
+      }
+
+      if (segments[1]) {
+        const obj = env.TOURNAMENTS.get(env.TOURNAMENTS.idFromName(segments[1]));
+
+        if (segments[2] === 'ws' && request.headers.get('Upgrade') === 'websocket') {
+          return obj.fetch(request);
+        }
+
+        let target = null;
+        if (request.method === 'GET' && segments.length === 2) target = 'https://do/state';
+        if (request.method === 'POST' && segments.length === 3 && ['register', 'withdraw', 'start', 'result'].includes(segments[2])) {
+          target = `https://do/${segments[2]}`;
+        }
+        if (target) {
+          const res = await obj.fetch(new Request(target, {
+            method: request.method,
+            headers: { 'Content-Type': 'application/json' },
+            body: request.method === 'POST' ? await request.text() : undefined
+          }));
+          const data = await res.json();
+          return new Response(JSON.stringify(data), { 
+            status: res.status,
+            headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+          });
+        }
+      }
+    }
+
+    if (request.method === 'GET' && url.pathname === '/leaderboard') {
+      if (!env.PLAYER_REGISTRY) {
+        return new Response(JSON.stringify({ error: 'no_player_registry' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      // ?timeControl=5+0&by=rating|wins&period=all|monthly|weekly&minGames=&limit=&offset=
+      const registry = env.PLAYER_REGISTRY.get(env.PLAYER_REGISTRY.idFromName('registry'));
+      const res = await registry.fetch(new Request(`https://do/leaderboard${url.search}`));
+      const data = await res.json();
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (request.method === 'GET' && segments[0] === 'games' && segments.length <= 2) {
+      if (!env.GAME_ARCHIVE) {
+        return new Response(JSON.stringify({ error: 'no_game_archive' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      // GET /games/:id for one game, GET /games?playerId=&from=&to=&timeControl=&result=&limit=&cursor= to search
+      const params = new URLSearchParams(segments[1] ? { id: segments[1] } : url.search);
+      params.delete('viewerId');
+      params.delete('admin');
+      if (session.playerId) params.set('viewerId', session.playerId);
+      if (isAdminRequest(request, env)) params.set('admin', '1');
+      const archive = env.GAME_ARCHIVE.get(env.GAME_ARCHIVE.idFromName('archive'));
+      const res = await archive.fetch(new Request(`https://do/${segments[1] ? 'game' : 'search'}?${params}`));
+      const data = await res.json();
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (request.method === 'GET' && segments[0] === 'players' && segments[1] && segments.length === 2) {
+      if (!env.PLAYER_REGISTRY) {
+        return new Response(JSON.stringify({ error: 'no_player_registry' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      const registryId = env.PLAYER_REGISTRY.idFromName('registry');
+      const registry = env.PLAYER_REGISTRY.get(registryId);
+      const res = await registry.fetch(new Request(`https://do/profile?id=${encodeURIComponent(segments[1])}`));
+      const data = await res.json();
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (request.method === 'GET' && segments[0] === 'players' && segments[1] && segments[2] === 'games' && segments.length === 3) {
+      if (!env.PLAYER_REGISTRY) {
+        return new Response(JSON.stringify({ error: 'no_player_registry' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      // Paging and filters: ?limit=&cursor=&timeControl=&result=win|loss|draw
+      const params = new URLSearchParams(url.search);
+      params.set('id', segments[1]);
+      const registryId = env.PLAYER_REGISTRY.idFromName('registry');
+      const registry = env.PLAYER_REGISTRY.get(registryId);
+      const res = await registry.fetch(new Request(`https://do/games?${params}`));
+      const data = await res.json();
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
+    if (request.method === 'GET' && segments[0] === 'players' && segments[1] && segments[2] === 'ratings' && segments.length === 3) {
+      if (!env.PLAYER_REGISTRY) {
+        return new Response(JSON.stringify({ error: 'no_player_registry' }), { 
+          status: 500, 
+          headers: corsHeaders 
+        });
+      }
+
+      const registryId = env.PLAYER_REGISTRY.idFromName('registry');
+      const registry = env.PLAYER_REGISTRY.get(registryId);
+      const res = await registry.fetch(new Request(`https://do/player?id=${encodeURIComponent(segments[1])}`));
+      const data = await res.json();
+      return new Response(JSON.stringify(data), { 
+        status: res.status,
+        headers: Object.assign({ 'Content-Type': 'application/json' }, corsHeaders) 
+      });
+    }
+
     if (segments[0] === 'rooms' && segments[1]) {
         const roomId = segments[1];
         const id = env.GAME_ROOMS.idFromName(roomId);
@@ -2241,7 +5975,31 @@ export default {
           return obj.fetch(request);
         }
 
-        if (segments.length === 2 && request.method === 'GET') return obj.fetch(new Request('https://do/getState'));
+        if (segments.length === 2 && request.method === 'GET') {
+          return obj.fetch(new Request('https://do/getState' + url.search, { headers: request.headers }));
+        }
+        if (segments[2] === 'invites') {
+          let target = null;
+          let init = {};
+          if (segments.length === 3 && request.method === 'POST') {
+            target = 'https://do/createInvite';
+            init = { method: 'POST', body: await request.text() };
+          } else if (segments.length === 3 && request.method === 'GET') {
+            target = 'https://do/invites' + url.search;
+          } else if (segments.length === 5 && segments[4] === 'revoke' && request.method === 'POST') {
+            const body = await request.json().catch(() => ({}));
+            target = 'https://do/revokeInvite';
+            init = { method: 'POST', body: JSON.stringify({ ...body, code: decodeURIComponent(segments[3]) }) };
+          }
+          if (target) {
+            const response = await obj.fetch(new Request(target, { ...init, headers: { 'Content-Type': 'application/json' } }));
+            const responseData = await response.json().catch(() => ({}));
+            return new Response(JSON.stringify(responseData), {
+              status: response.status,
+              headers: Object.assign({}, corsHeaders, { 'Content-Type': 'application/json' })
+            });
+          }
+        }
         if (segments.length === 3 && segments[2] === 'join' && request.method === 'POST') {
           const bodyText = await request.clone().text().catch(() => null);
           const headers = { 'Content-Type': request.headers.get('Content-Type') || 'application/json' };
@@ -2278,6 +6036,18 @@ export default {
             })
           });
         }
+        if (segments.length === 3 && segments[2] === 'reveal-bid' && request.method === 'POST') {
+          const bodyText = await request.clone().text().catch(() => null);
+          const headers = { 'Content-Type': request.headers.get('Content-Type') || 'application/json' };
+          const response = await obj.fetch(new Request('https://do/revealBid', { method: 'POST', headers, body: bodyText }));
+          const responseData = await response.json().catch(() => ({}));
+          return new Response(JSON.stringify(responseData), {
+            status: response.status,
+            headers: Object.assign({}, corsHeaders, {
+              'Content-Type': 'application/json'
+            })
+          });
+        }
         if (segments.length === 3 && segments[2] === 'choose-color' && request.method === 'POST') {
           const bodyText = await request.clone().text().catch(() => null);
           const headers = { 'Content-Type': request.headers.get('Content-Type') || 'application/json' };
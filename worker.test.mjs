@@ -0,0 +1,388 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, pbkdf2Sync } from 'node:crypto';
+import {
+  validateSchema,
+  queryValues,
+  validateSocketMessage,
+  parseTimeControl,
+  timeControlKey,
+  resolveTimeControl,
+  bidCommitment,
+  glicko2Update,
+  matchWindow,
+  RoomIndex,
+  leaderboardPeriodKeys,
+  PlayerRegistry,
+  Tournament,
+  generateInviteCode,
+  normalizeInviteCode,
+  challengeTerms,
+  filterChatText,
+  rateLimitClass,
+  signSession,
+  verifySession,
+  hashPassword,
+  timingSafeEqual,
+  isAdminRequest,
+  metricLabels
+} from './worker.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    playerId: { type: 'string', maxLength: 10 },
+    limit: { type: 'integer', minimum: 1, maximum: 100 },
+    rated: { type: 'boolean' },
+    timeControl: { type: 'string', format: 'time-control' }
+  },
+  required: ['playerId']
+};
+
+test('validateSchema drops undeclared properties', () => {
+  const errors = [];
+  const clean = validateSchema(schema, { playerId: 'a', extra: 1, limit: 5 }, errors);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(clean, { playerId: 'a', limit: 5 });
+});
+
+test('validateSchema reports missing required fields and bad values', () => {
+  const errors = [];
+  validateSchema(schema, { limit: 0, rated: 'yes' }, errors);
+  assert.deepEqual(errors, [
+    { field: 'playerId', message: 'is required' },
+    { field: 'limit', message: 'must be at least 1' },
+    { field: 'rated', message: 'must be true or false' }
+  ]);
+});
+
+test('validateSchema checks the time-control format', () => {
+  for (const timeControl of ['5+0', '3+2', '5d2']) {
+    const errors = [];
+    validateSchema(schema, { playerId: 'a', timeControl }, errors);
+    assert.deepEqual(errors, [], timeControl);
+  }
+  const errors = [];
+  validateSchema(schema, { playerId: 'a', timeControl: 'fast' }, errors);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].field, 'timeControl');
+});
+
+test('queryValues converts declared integers and booleans', () => {
+  const values = queryValues(schema, new URLSearchParams('playerId=a&limit=20&rated=true&other=1'));
+  assert.deepEqual(values, { playerId: 'a', limit: 20, rated: true });
+
+  const errors = [];
+  validateSchema(schema, queryValues(schema, new URLSearchParams('playerId=a&limit=ten')), errors);
+  assert.deepEqual(errors, [{ field: 'limit', message: 'must be an integer' }]);
+});
+
+test('validateSocketMessage returns the cleaned payload', () => {
+  assert.deepEqual(validateSocketMessage('room', JSON.stringify({ type: 'move', id: 7, move: 'e2e4', extra: true })), {
+    type: 'move',
+    id: 7,
+    payload: { move: 'e2e4' }
+  });
+});
+
+test('validateSocketMessage rejects bad JSON, unknown types and invalid fields', () => {
+  assert.deepEqual(validateSocketMessage('room', '{'), { error: 'invalid_json', id: null });
+  assert.deepEqual(validateSocketMessage('room', JSON.stringify({ type: 'dance', id: 1 })), {
+    error: 'unknown_message_type',
+    id: 1,
+    type: 'dance'
+  });
+  const result = validateSocketMessage('room', JSON.stringify({ type: 'chooseColor', id: 2 }));
+  assert.equal(result.error, 'invalid_request');
+  assert.deepEqual(result.fields, [{ field: 'color', message: 'is required' }]);
+});
+
+test('parseTimeControl reads increment and delay', () => {
+  assert.deepEqual(parseTimeControl('3+2'), { key: '3+2', mainTimeMs: 180000, incrementMs: 2000, delayMs: 0 });
+  assert.deepEqual(parseTimeControl('5d2'), { key: '5d2', mainTimeMs: 300000, incrementMs: 0, delayMs: 2000 });
+  assert.deepEqual(parseTimeControl('5+3d2'), { key: '5+3d2', mainTimeMs: 300000, incrementMs: 3000, delayMs: 2000 });
+  assert.equal(parseTimeControl('5').key, '5+0');
+  assert.equal(parseTimeControl('0.5+1').mainTimeMs, 30000);
+});
+
+test('parseTimeControl reads a space as the + of an unencoded query string', () => {
+  assert.equal(parseTimeControl('5 3').key, '5+3');
+  assert.equal(parseTimeControl(' 3+2 ').key, '3+2');
+});
+
+test('parseTimeControl rejects malformed and zero-length controls', () => {
+  for (const value of ['', 'fast', '5+', '+2', '0+2', '5x2', null, undefined]) {
+    assert.equal(parseTimeControl(value), null, String(value));
+  }
+});
+
+test('timeControlKey and resolveTimeControl agree with the key format', () => {
+  assert.equal(timeControlKey({ mainTimeMs: 600000 }), '10+0');
+  assert.equal(timeControlKey({ mainTimeMs: 300000, delayMs: 2000 }), '5d2');
+  assert.equal(resolveTimeControl({ mainTimeMs: 180000, incrementMs: 2000 }).key, '3+2');
+  assert.equal(resolveTimeControl({ timeControl: '5d2' }).delayMs, 2000);
+  assert.equal(resolveTimeControl({ mainTimeMs: 0 }), null);
+  assert.equal(resolveTimeControl({}), null);
+});
+
+test('bidCommitment is the SHA-256 hex of "<amount>:<salt>"', async () => {
+  const expected = createHash('sha256').update('20000:pepper').digest('hex');
+  assert.equal(await bidCommitment(20000, 'pepper'), expected);
+  assert.notEqual(await bidCommitment(20000, 'salt'), expected);
+  assert.notEqual(await bidCommitment(20001, 'pepper'), expected);
+});
+
+test('glicko2Update matches the worked example in Glickman\'s paper', () => {
+  const updated = glicko2Update({ rating: 1500, rd: 200, volatility: 0.06 }, [
+    { opponent: { rating: 1400, rd: 30 }, score: 1 },
+    { opponent: { rating: 1550, rd: 100 }, score: 0 },
+    { opponent: { rating: 1700, rd: 300 }, score: 0 }
+  ]);
+  assert.ok(Math.abs(updated.rating - 1464.06) < 0.01, String(updated.rating));
+  assert.ok(Math.abs(updated.rd - 151.52) < 0.01, String(updated.rd));
+  assert.ok(Math.abs(updated.volatility - 0.05999) < 0.00001, String(updated.volatility));
+});
+
+test('glicko2Update moves equal players apart and draws leave them level', () => {
+  const player = { rating: 1500, rd: 350, volatility: 0.06 };
+  const won = glicko2Update(player, [{ opponent: player, score: 1 }]);
+  const lost = glicko2Update(player, [{ opponent: player, score: 0 }]);
+  const drawn = glicko2Update(player, [{ opponent: player, score: 0.5 }]);
+  assert.ok(won.rating > 1500 && lost.rating < 1500);
+  assert.ok(Math.abs((won.rating - 1500) + (lost.rating - 1500)) < 1e-9);
+  assert.ok(Math.abs(drawn.rating - 1500) < 1e-9);
+  assert.ok(won.rd < 350);
+});
+
+test('matchWindow starts at 100 and widens by 50 every 10 seconds up to 800', () => {
+  assert.equal(matchWindow(0), 100);
+  assert.equal(matchWindow(9999), 100);
+  assert.equal(matchWindow(10000), 150);
+  assert.equal(matchWindow(65000), 400);
+  assert.equal(matchWindow(60 * 60 * 1000), 800);
+  assert.equal(matchWindow(-5000), 100);
+});
+
+test('_findPairing serves the longest waiter with the closest opponent in the window', () => {
+  const findPairing = (queue, now) => RoomIndex.prototype._findPairing.call(null, queue, now);
+  const now = 100000;
+  const queue = [
+    { playerId: 'a', skill: 1500, joinedAt: now - 5000 },
+    { playerId: 'b', skill: 1650, joinedAt: now - 4000 },
+    { playerId: 'c', skill: 1580, joinedAt: now - 3000 },
+    { playerId: 'd', skill: 1560, joinedAt: now - 2000 }
+  ];
+  assert.deepEqual(findPairing(queue, now).map(p => p.playerId), ['a', 'd']);
+
+  const apart = [
+    { playerId: 'a', skill: 1200, joinedAt: now },
+    { playerId: 'b', skill: 1500, joinedAt: now }
+  ];
+  assert.equal(findPairing(apart, now), null);
+  // After 40 seconds the window is 300 wide, which reaches the other player.
+  assert.deepEqual(findPairing(apart, now + 40000).map(p => p.playerId), ['a', 'b']);
+});
+
+test('leaderboardPeriodKeys uses UTC months and ISO weeks', () => {
+  assert.deepEqual(leaderboardPeriodKeys(Date.UTC(2026, 9, 19, 12)), { all: 'all', monthly: '2026-10', weekly: '2026-W43' });
+  // ISO weeks belong to the year of their Thursday.
+  assert.equal(leaderboardPeriodKeys(Date.UTC(2021, 0, 1)).weekly, '2020-W53');
+  assert.equal(leaderboardPeriodKeys(Date.UTC(2024, 11, 30)).weekly, '2025-W01');
+  assert.equal(leaderboardPeriodKeys(Date.UTC(2026, 0, 31, 23, 59)).monthly, '2026-01');
+});
+
+test('_leaderboard orders by the documented tie-breaks and ranks from the offset', () => {
+  const queries = [];
+  const row = { player_id: 'p1', name: 'P1', rating: 1612.4, rd: 80.6, games: 9, wins: 6, losses: 2, draws: 1, last_game_at: 5 };
+  const registry = {
+    state: { storage: { sql: { exec: (query, ...bindings) => { queries.push({ query, bindings }); return { toArray: () => [row] }; } } } }
+  };
+  const leaderboard = options => PlayerRegistry.prototype._leaderboard.call(registry, options);
+
+  const page = leaderboard({ timeControl: '5+0', period: 'all', by: 'rating', minGames: 5, limit: 10, offset: 20 });
+  assert.match(queries[0].query, /ORDER BY rating DESC, rd ASC, games DESC, last_game_at ASC, player_id ASC/);
+  assert.deepEqual(queries[0].bindings, ['5+0', 'all', 'all', 5, 10, 20]);
+  assert.deepEqual(page.entries[0], {
+    rank: 21, playerId: 'p1', name: 'P1', rating: 1612, rd: 81, games: 9, wins: 6, losses: 2, draws: 1, lastGameAt: 5
+  });
+
+  leaderboard({ timeControl: '5+0', period: 'all', by: 'wins', minGames: 1, limit: 10, offset: 0 });
+  assert.match(queries[1].query, /ORDER BY wins DESC, games ASC, rating DESC, last_game_at ASC, player_id ASC/);
+});
+
+// The constructor needs the Workers runtime, so pairing tests build the object
+// around a bare tournament record.
+function tournamentWith(playerIds, rounds = []) {
+  const tournament = Object.create(Tournament.prototype);
+  tournament.tournament = { players: playerIds.map(id => ({ id, name: id.toUpperCase() })), rounds };
+  return tournament;
+}
+
+test('_roundRobinPairings meets every opponent once and rotates the bye', () => {
+  for (const ids of [['p1', 'p2', 'p3', 'p4'], ['p1', 'p2', 'p3']]) {
+    const tournament = tournamentWith(ids);
+    const rounds = ids.length % 2 ? ids.length : ids.length - 1;
+    const met = new Set();
+    const byes = [];
+    for (let round = 1; round <= rounds; round++) {
+      const pairs = tournament._roundRobinPairings(round);
+      assert.deepEqual(pairs.flat().filter(Boolean).sort(), [...ids].sort(), `round ${round}`);
+      for (const [a, b] of pairs) {
+        if (!b) byes.push(a);
+        else met.add([a, b].sort().join('-'));
+      }
+    }
+    assert.equal(met.size, ids.length * (ids.length - 1) / 2);
+    assert.deepEqual(byes.sort(), ids.length % 2 ? [...ids].sort() : []);
+  }
+});
+
+test('_swissPairings pairs by score, avoids rematches and gives the bye to the lowest', () => {
+  const round1 = {
+    boards: [
+      { players: ['p1', 'p2'], result: 'win', winnerId: 'p1' },
+      { players: ['p3', 'p4'], result: 'win', winnerId: 'p3' }
+    ]
+  };
+  assert.deepEqual(tournamentWith(['p1', 'p2', 'p3', 'p4'], [round1])._swissPairings(), [['p1', 'p3'], ['p2', 'p4']]);
+
+  const withBye = {
+    boards: [
+      { players: ['p1', 'p2'], result: 'win', winnerId: 'p1' },
+      { players: ['p3', 'p4'], result: 'draw', winnerId: null },
+      { players: ['p5', null], result: 'bye' }
+    ]
+  };
+  // Greedy pairing leaves p3 and p4 to meet again: nobody else is left.
+  assert.deepEqual(tournamentWith(['p1', 'p2', 'p3', 'p4', 'p5'], [withBye])._swissPairings(), [
+    ['p1', 'p5'],
+    ['p3', 'p4'],
+    ['p2', null]
+  ]);
+});
+
+test('generateInviteCode makes XXXX-XXXX codes without look-alike characters', () => {
+  for (let i = 0; i < 200; i++) {
+    assert.match(generateInviteCode(), /^[23456789ABCDEFGHJKMNPQRSTVWXYZ]{4}-[23456789ABCDEFGHJKMNPQRSTVWXYZ]{4}$/);
+  }
+});
+
+test('normalizeInviteCode accepts any case, with or without the dash', () => {
+  assert.equal(normalizeInviteCode('abcd-efgh'), 'ABCD-EFGH');
+  assert.equal(normalizeInviteCode('abcdefgh'), 'ABCD-EFGH');
+  assert.equal(normalizeInviteCode(' ab cd-ef gh '), 'ABCD-EFGH');
+  assert.equal(normalizeInviteCode('abc'), 'ABC');
+});
+
+test('challengeTerms fills in default phase lengths and checks their bounds', () => {
+  assert.deepEqual(challengeTerms({ timeControl: '3+2' }), { timeControl: '3+2', bidDurationMs: 10000, choiceDurationMs: 10000 });
+  assert.equal(challengeTerms({ timeControl: '3+2', bidDurationMs: 60000 }).bidDurationMs, 60000);
+  assert.deepEqual(challengeTerms({ timeControl: '3+2', bidDurationMs: 1000 }), { error: 'invalid_bidDurationMs' });
+  assert.deepEqual(challengeTerms({ timeControl: '3+2', choiceDurationMs: 10 * 60 * 1000 }), { error: 'invalid_choiceDurationMs' });
+  assert.deepEqual(challengeTerms({ timeControl: 'soon' }), { error: 'invalid_time_control' });
+  assert.deepEqual(challengeTerms({}), { error: 'time_control_required' });
+});
+
+test('filterChatText masks whole filtered words in any case', () => {
+  assert.equal(filterChatText('Darn it, darn', ['darn']), '**** it, ****');
+  assert.equal(filterChatText('darnation', ['darn']), 'darnation');
+  assert.equal(filterChatText('a.b and axb', ['a.b']), '*** and axb');
+  assert.equal(filterChatText('hello', [' ', '']), 'hello');
+});
+
+test('rateLimitClass sorts requests into their rate limit buckets', () => {
+  const classOf = (method, path, headers = {}) => {
+    const request = new Request(`https://example.com${path}`, { method, headers });
+    return rateLimitClass(request, new URL(request.url));
+  };
+  assert.equal(classOf('POST', '/admin/rooms/clear-all-and-queues'), 'admin');
+  assert.equal(classOf('GET', '/admin/queues'), 'admin');
+  assert.equal(classOf('POST', '/accounts/login'), 'auth');
+  assert.equal(classOf('POST', '/session/'), 'auth');
+  assert.equal(classOf('POST', '/queue/join'), 'queue');
+  assert.equal(classOf('GET', '/leaderboard'), 'read');
+  assert.equal(classOf('GET', '/rooms/r1/ws', { Upgrade: 'websocket' }), 'read');
+  assert.equal(classOf('POST', '/rooms/r1/move'), 'action');
+});
+
+// A registry stub that answers /accounts/session from a map of playerId to account.
+function registryWith(accounts) {
+  return {
+    idFromName: name => name,
+    get: () => ({
+      fetch: async request => {
+        const playerId = new URL(request.url).searchParams.get('playerId');
+        return Response.json({ ok: true, account: accounts[playerId] || null });
+      }
+    })
+  };
+}
+
+test('signSession tokens verify until they expire or are tampered with', async () => {
+  const env = { SESSION_SECRET: 'test-secret' };
+  const { token, expiresAt } = await signSession(env, 'player-1');
+  assert.ok(expiresAt > Date.now());
+  assert.deepEqual(await verifySession(env, token), { playerId: 'player-1', username: null, sessionVersion: null });
+
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ sub: 'player-2', iat: 0, exp: expiresAt })).toString('base64url');
+  assert.deepEqual(await verifySession(env, `${forged}.${signature}`), { error: 'invalid' });
+  assert.deepEqual(await verifySession({ SESSION_SECRET: 'other' }, token), { error: 'invalid' });
+  assert.deepEqual(await verifySession(env, `${payload}.${signature}.x`), { error: 'invalid' });
+  assert.deepEqual(await verifySession(env, null), { error: 'missing' });
+  assert.deepEqual(await verifySession({}, token), { error: 'secret_missing' });
+
+  const old = await signSession(env, 'player-1', null, Date.now() - 8 * 24 * 60 * 60 * 1000);
+  assert.deepEqual(await verifySession(env, old.token), { error: 'expired' });
+});
+
+test('verifySession revokes tokens with a stale sessionVersion and guest tokens for claimed ids', async () => {
+  const env = {
+    SESSION_SECRET: 'test-secret',
+    PLAYER_REGISTRY: registryWith({
+      'player-acct': { username: 'alice', sessionVersion: 2 },
+      'player-claimed': { username: 'bob', sessionVersion: 1 }
+    })
+  };
+  const current = await signSession(env, 'player-acct', 2);
+  assert.deepEqual(await verifySession(env, current.token), { playerId: 'player-acct', username: 'alice', sessionVersion: 2 });
+  const stale = await signSession(env, 'player-acct', 1);
+  assert.deepEqual(await verifySession(env, stale.token), { error: 'revoked' });
+
+  const guest = await signSession(env, 'player-claimed');
+  assert.deepEqual(await verifySession(env, guest.token), { error: 'revoked' });
+  const orphan = await signSession(env, 'player-guest', 3);
+  assert.deepEqual(await verifySession(env, orphan.token), { error: 'revoked' });
+});
+
+test('hashPassword is PBKDF2-SHA256 over the hex salt', async () => {
+  const salt = '00112233445566778899aabbccddeeff';
+  const expected = pbkdf2Sync('correct horse', Buffer.from(salt, 'hex'), 1000, 32, 'sha256').toString('hex');
+  assert.equal(await hashPassword('correct horse', salt, 1000), expected);
+  assert.notEqual(await hashPassword('correct horse', salt, 1001), expected);
+});
+
+test('timingSafeEqual only matches equal strings', () => {
+  assert.equal(timingSafeEqual('secret', 'secret'), true);
+  assert.equal(timingSafeEqual('secreT', 'secret'), false);
+  assert.equal(timingSafeEqual('secret-longer', 'secret'), false);
+  assert.equal(timingSafeEqual('', 'secret'), false);
+  assert.equal(timingSafeEqual(null, 'secret'), false);
+});
+
+test('isAdminRequest takes the admin token as a header or a bearer token', () => {
+  const env = { ADMIN_TOKEN: 'admin-token' };
+  const request = headers => new Request('https://example.com/admin/queues', { headers });
+  assert.equal(isAdminRequest(request({ 'X-Admin-Token': 'admin-token' }), env), true);
+  assert.equal(isAdminRequest(request({ Authorization: 'Bearer admin-token' }), env), true);
+  assert.equal(isAdminRequest(request({ Authorization: 'Bearer wrong' }), env), false);
+  assert.equal(isAdminRequest(request({}), env), false);
+  assert.equal(isAdminRequest(request({ 'X-Admin-Token': '' }), {}), false);
+});
+
+test('metricLabels renders sorted, escaped Prometheus labels', () => {
+  assert.equal(metricLabels({}), '');
+  assert.equal(metricLabels(undefined), '');
+  assert.equal(metricLabels({ status: 200, route: '/games' }), '{route="/games",status="200"}');
+  assert.equal(metricLabels({ reason: 'a "b"\\c\nd' }), '{reason="a \\"b\\"\\\\c\\nd"}');
+});